@@ -28,7 +28,9 @@ const APPWRITE_PROMPTS_COLLECTION_ID = process.env.APPWRITE_PROMPTS_COLLECTION_I
 const APPWRITE_LANGUAGES_COLLECTION_ID = process.env.APPWRITE_LANGUAGES_COLLECTION_ID;
 const APPWRITE_SETTINGS_COLLECTION_ID = process.env.APPWRITE_SETTINGS_COLLECTION_ID;
 const APPWRITE_MESSAGES_INBOX_COLLECTION_ID = process.env.APPWRITE_MESSAGES_INBOX_COLLECTION_ID;
+const APPWRITE_MIGRATIONS_COLLECTION_ID = process.env.APPWRITE_MIGRATIONS_COLLECTION_ID;
 const FCM_PROVIDER_ID = process.env.APPWRITE_FCM_PROVIDER_ID;
+const STORAGE_BUCKET_ID = process.env.STORAGE_BUCKETID;
 
 
 // Ensure all required environment variables are set
@@ -48,6 +50,8 @@ const databases = new sdk.Databases(client);
 const account = new sdk.Account(client);
 const messaging = new sdk.Messaging(client); // Ensure this is present
 const functions = new sdk.Functions(client); // If you'll be using functions
+const users = new sdk.Users(client); // Needed for per-user push targets
+const storage = new sdk.Storage(client); // Server-side image uploads
 
 module.exports = {
     // Exporting the initialized services and query object
@@ -55,6 +59,8 @@ module.exports = {
     account,
     messaging,
     functions,
+    users,
+    storage,
     query: sdk.Query,
 
     // Exporting all constants for clarity and easy access
@@ -77,7 +83,9 @@ module.exports = {
     APPWRITE_LANGUAGES_COLLECTION_ID,
     APPWRITE_SETTINGS_COLLECTION_ID,
     APPWRITE_MESSAGES_INBOX_COLLECTION_ID,
+    APPWRITE_MIGRATIONS_COLLECTION_ID,
     FCM_PROVIDER_ID,
+    STORAGE_BUCKET_ID,
 
     APPWRITE_CLOUD_URL,
     APPWRITE_PROJECT_ID,
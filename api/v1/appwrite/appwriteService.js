@@ -104,6 +104,21 @@ class AppwriteService {
             throw error;
         }
     }
+
+    /**
+     * Fetches the definition of an attribute of a collection (type, size, enum elements, ...).
+     * @param {string} collectionId The ID of the collection.
+     * @param {string} key The key of the attribute.
+     * @returns {Promise<Object>} A promise that resolves to the attribute definition.
+     */
+    async getAttribute(collectionId, key) {
+        try {
+            return await this.databases.getAttribute(this.databaseId, collectionId, key);
+        } catch (error) {
+            console.error(`Error fetching attribute ${key} of collection ${collectionId}:`, error);
+            throw error;
+        }
+    }
 }
 
 module.exports = {
@@ -0,0 +1,19 @@
+// /constants/accountTiers.js
+// Per-tier access to the "who liked me" and "who viewed me" lists.
+// `limit` caps how many entries are listed; `blurred` hides who they are.
+
+module.exports = {
+  DEFAULT_ACCOUNT_TIER: 'free',
+  ACCOUNT_TIERS: {
+    free: {
+      admirers: { limit: 20, blurred: true },
+      viewers: { limit: 10, blurred: true },
+    },
+    premium: {
+      admirers: { limit: 100, blurred: false },
+      viewers: { limit: 100, blurred: false },
+    },
+  },
+  // Only views from this many days back are listed
+  VIEWERS_WINDOW_DAYS: 30,
+};
@@ -0,0 +1,16 @@
+// /constants/compatibilityWeights.js
+// Points each factor contributes to the 0-100 compatibility score. They must add up to 100.
+
+module.exports = {
+  DISTANCE_WEIGHT: 30,
+  HOBBIES_WEIGHT: 25,
+  LANGUAGES_WEIGHT: 15,
+  PROMPTS_WEIGHT: 15,
+  ACTIVITY_WEIGHT: 15,
+
+  // Distance used for scoring when the viewer has no max_distance_km preference
+  DEFAULT_SCORING_DISTANCE_KM: 100,
+  // Shared hobbies / languages needed for the full factor score
+  HOBBIES_FOR_FULL_SCORE: 3,
+  LANGUAGES_FOR_FULL_SCORE: 2,
+};
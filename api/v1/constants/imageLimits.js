@@ -0,0 +1,14 @@
+// /constants/imageLimits.js
+
+module.exports = {
+  MAX_IMAGE_UPLOAD_BYTES: 10 * 1024 * 1024,
+  // HEIC/HEIF is not accepted: sharp's prebuilt binaries cannot decode HEVC-coded images
+  ALLOWED_IMAGE_MIME_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+  ALLOWED_IMAGE_FORMATS: ['jpeg', 'png', 'webp'],
+  MIN_IMAGE_DIMENSION: 200,
+  MAX_IMAGE_DIMENSION: 8000,
+  // Stored images are downscaled so their longest side is at most this many pixels
+  STORED_IMAGE_MAX_SIDE: 2048,
+  // The images collection has image_1 ... image_6; image_1 is the primary photo
+  PROFILE_PHOTO_SLOTS: 6,
+};
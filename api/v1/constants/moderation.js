@@ -0,0 +1,18 @@
+// /constants/moderation.js
+
+module.exports = {
+  REPORT_REASONS: [
+    'spam',
+    'harassment',
+    'inappropriate_content',
+    'fake_profile',
+    'underage',
+    'scam',
+    'other',
+  ],
+  REPORT_DETAILS_MAX_LENGTH: 1000,
+  REPORT_RESOLUTION_ACTIONS: ['dismiss', 'warn', 'suspend', 'ban'],
+  DEFAULT_SUSPENSION_DAYS: 7,
+  MAX_SUSPENSION_DAYS: 365,
+  ADMIN_LABEL: 'admin',
+};
@@ -0,0 +1,9 @@
+// /constants/preferenceLimits.js
+
+module.exports = {
+  MIN_AGE: 18,
+  MAX_AGE: 100,
+  MIN_DISTANCE_KM: 1,
+  MAX_DISTANCE_KM: 500,
+  MAX_PREFERRED_HOBBIES: 10,
+};
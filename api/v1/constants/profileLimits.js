@@ -0,0 +1,12 @@
+// /constants/profileLimits.js
+
+module.exports = {
+  PROMPT_COUNT: 7,
+  PROMPT_ANSWER_MAX_LENGTH: 300,
+  MAX_HOBBIES: 10,
+  MAX_LANGUAGES: 5,
+  // What a profile needs before it counts as complete
+  MIN_PROFILE_PHOTOS: 2,
+  MIN_ANSWERED_PROMPTS: 3,
+  MIN_HOBBIES: 1,
+};
@@ -0,0 +1,6 @@
+// /constants/swipeLimits.js
+
+module.exports = {
+  // Days before a passed profile can show up in explore again
+  PASS_COOLDOWN_DAYS: 30,
+};
@@ -0,0 +1,5 @@
+// /constants/time.js
+
+module.exports = {
+  DAY_MS: 24 * 60 * 60 * 1000,
+};
@@ -0,0 +1,36 @@
+const multer = require("multer");
+const {
+  MAX_IMAGE_UPLOAD_BYTES,
+  ALLOWED_IMAGE_MIME_TYPES,
+} = require("../constants/imageLimits");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Unsupported image type. Must be one of: ${ALLOWED_IMAGE_MIME_TYPES.join(", ")}.`);
+      error.code = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+// Parses a single multipart image from the "image" field into req.file.
+const imageUpload = (req, res, next) => {
+  upload.single("image")(req, res, (err) => {
+    if (!err) {
+      if (!req.file) return res.status(400).json({ error: "An image file is required in the 'image' field." });
+      return next();
+    }
+
+    if (err instanceof multer.MulterError) {
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ error: err.message });
+    }
+    return res.status(err.code || 500).json({ error: err.message || "Failed to process upload" });
+  });
+};
+
+module.exports = { imageUpload };
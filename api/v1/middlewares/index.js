@@ -1,3 +1,5 @@
 const { verifyAppwriteJWT } = require("./verifyClientJWT");
+const { requireAdmin } = require("./requireAdmin");
+const { imageUpload } = require("./imageUpload");
 
-module.exports = {verifyAppwriteJWT}
\ No newline at end of file
+module.exports = {verifyAppwriteJWT, requireAdmin, imageUpload}
@@ -0,0 +1,12 @@
+const { ADMIN_LABEL } = require("../constants/moderation");
+
+// Must run after verifyAppwriteJWT; admins are Appwrite users carrying the admin label.
+const requireAdmin = (req, res, next) => {
+  const labels = req.user?.labels || [];
+  if (!labels.includes(ADMIN_LABEL)) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+};
+
+module.exports = { requireAdmin };
@@ -2,12 +2,16 @@ const sdk = require("node-appwrite");
 const {
   APPWRITE_CLOUD_URL,
   APPWRITE_PROJECT_ID,
+  APPWRITE_USERS_COLLECTION_ID,
 } = require("../appwrite/appwriteConstants");
+const { AppwriteService } = require("../appwrite/appwriteService");
+const { getAccountRestriction } = require("../service/reportService");
 
 const verifyAppwriteJWT = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
   if (!token) return res.status(401).json({ error: "Missing token" });
 
+  let user;
   try {
     const client = new sdk.Client()
       .setEndpoint(APPWRITE_CLOUD_URL)
@@ -15,14 +19,39 @@ const verifyAppwriteJWT = async (req, res, next) => {
       .setJWT(token);
 
     const account = new sdk.Account(client);
-    const user = await account.get();
-
-    req.user = user;
-    next();
+    user = await account.get();
   } catch (err) {
     console.error("Token verification failed:", err.message);
     return res.status(401).json({ error: "Invalid or expired token" });
   }
+
+  // Reject banned and currently suspended accounts
+  let userDoc = null;
+  try {
+    const appwrite = new AppwriteService();
+    userDoc = await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, user.$id);
+  } catch (err) {
+    // Users without a users-collection document yet (e.g. mid-onboarding) are let through
+    if (err.code === 404) {
+      console.warn(`No user document found for ${user.$id} during token verification.`);
+    } else {
+      // Any other failure would skip the ban and suspension check, so refuse the request
+      console.error(`Failed to load user document for ${user.$id}:`, err.message);
+      return res.status(503).json({ error: "Unable to verify account status. Try again later." });
+    }
+  }
+
+  const restriction = getAccountRestriction(userDoc);
+  if (restriction) {
+    return res.status(403).json({
+      error: restriction.status === "banned" ? "Account banned" : "Account suspended",
+      moderationStatus: restriction.status,
+      suspendedUntil: restriction.until,
+    });
+  }
+
+  req.user = user;
+  next();
 };
 
 module.exports = { verifyAppwriteJWT };
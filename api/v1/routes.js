@@ -1,12 +1,34 @@
 // routes.js
 const { verifyAppwriteJWT } = require("./middlewares/verifyClientJWT");
+const { requireAdmin } = require("./middlewares/requireAdmin");
+const { imageUpload } = require("./middlewares/imageUpload");
 const { getNextBatchProfiles, getRandomProfilesSimple } = require("./service/profileService");
+const { parseExploreFilters } = require("./utils/exploreFilters");
+const { getGenderOptions } = require("./service/biodataSchemaService");
 const { sendInvitation } = require("./service/invitationService");
 const { getActiveSentInvitations } = require("./service/manageSentInvitationService");
 const { getActiveReceivedInvitations, declineInvitation, acceptInvitation } = require("./service/manageIncomingRequestService");
-const { getActiveChats, removeChat, getChatState, sendMessage, proposeDate, respondToDateProposal, getChatMessages } = require("./service/chatService");
+const { getActiveChats, removeChat, getChatState, sendMessage, sendImageMessage, proposeDate, respondToDateProposal, getChatMessages, getAuthorizedChatConnection, sendTypingIndicator, markMessagesRead, editMessage, deleteMessage } = require("./service/chatService");
 const { removeSentInvitation } = require("./service/manageSentInvitationService");
-const { createNotification } = require("./service/notificationService");
+const {
+  createNotification,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getUnreadNotificationCount,
+} = require("./service/notificationService");
+const { blockUser, unblockUser, getBlockedUsers } = require("./service/blockService");
+const { reportUser, listReports, resolveReport } = require("./service/reportService");
+const { registerDeviceTarget, unregisterDeviceTarget } = require("./service/pushService");
+const { openEventStream } = require("./service/realtimeService");
+const { getPhotos, uploadPhoto, reorderPhotos, setPrimaryPhoto, deletePhoto } = require("./service/photoService");
+const { recordHeartbeat, setPresenceVisibility } = require("./service/presenceService");
+const { updateLocation } = require("./service/locationService");
+const { recordSwipe, undoLastSwipe } = require("./service/swipeService");
+const { getAdmirers, getViewers } = require("./service/admirerService");
+const { getPreferences, updatePreferences } = require("./service/preferenceService");
+const { getProfile, updateProfile } = require("./service/profileEditService");
+const { getCompletionStatus } = require("./service/completionService");
 
 module.exports = (app) => {
 
@@ -18,15 +40,53 @@ module.exports = (app) => {
     });
   });
 
+  // Explore feed. Omit `cursor` to start a new feed session; pass the returned
+  // `nextCursor` to get the following page of the same snapshot.
+  // Optional filter overrides (minAge, maxAge, gender, hobbies, maxDistanceKm, languages,
+  // hasPrompts, minPhotos, activeWithinDays) apply when a session starts.
   app.get("/api/v1/explore/next-batch", verifyAppwriteJWT, async (req, res) => {
     try {
-      const page = parseInt(req.query.page || "0");
       const userId = req.user.$id;
-      const profiles = await getNextBatchProfiles(userId, page);
-      res.json({ profiles });
+      const overrides = parseExploreFilters(req.query, await getGenderOptions());
+      const { profiles, nextCursor, appliedFilters } = await getNextBatchProfiles(userId, req.query.cursor, overrides);
+      res.json({ profiles, nextCursor, appliedFilters });
     } catch (err) {
       console.error("Error fetching next batch:", err);
-      res.status(500).json({ error: "Failed to fetch profiles" });
+      res.status(err.code || 500).json({ error: err.code ? err.message : "Failed to fetch profiles" });
+    }
+  });
+
+  // Swipe Routes
+  // Like a profile from explore
+  app.post("/api/v1/explore/:userId/like", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const result = await recordSwipe(req.user.$id, req.params.userId, "like");
+      res.status(200).json({ message: "Swipe recorded.", ...result });
+    } catch (error) {
+      console.error("Error recording swipe:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to record swipe" });
+    }
+  });
+
+  // Pass a profile from explore
+  app.post("/api/v1/explore/:userId/pass", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const result = await recordSwipe(req.user.$id, req.params.userId, "pass");
+      res.status(200).json({ message: "Swipe recorded.", ...result });
+    } catch (error) {
+      console.error("Error recording swipe:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to record swipe" });
+    }
+  });
+
+  // Undo the most recent swipe
+  app.post("/api/v1/explore/undo", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const result = await undoLastSwipe(req.user.$id);
+      res.status(200).json({ message: "Swipe undone.", ...result });
+    } catch (error) {
+      console.error("Error undoing swipe:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to undo swipe" });
     }
   });
 
@@ -154,6 +214,12 @@ module.exports = (app) => {
     }
   });
 
+  // Real-time events for all of the user's chats (Server-Sent Events)
+  app.get("/api/v1/chats/events", verifyAppwriteJWT, (req, res) => {
+    recordHeartbeat(req.user.$id);
+    openEventStream(req.user.$id, req, res);
+  });
+
   // Remove Active Chat
   app.post("/api/v1/chats/remove", verifyAppwriteJWT, async (req, res) => {
     try {
@@ -170,6 +236,56 @@ module.exports = (app) => {
     }
   });
 
+  // Real-time events for a single chat (Server-Sent Events)
+  app.get("/api/v1/chats/:connectionId/events", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const connectionId = req.params.connectionId;
+
+      await getAuthorizedChatConnection(currentUserId, connectionId, "Unauthorized or invalid chat connection for events");
+      recordHeartbeat(currentUserId);
+      openEventStream(currentUserId, req, res, connectionId);
+    } catch (error) {
+      console.error("Error opening chat event stream:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to open chat event stream" });
+    }
+  });
+
+  // Mark Messages Read
+  app.post("/api/v1/chats/:connectionId/read", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const connectionId = req.params.connectionId;
+      const { timestamp, messageId } = req.body || {};
+
+      const result = await markMessagesRead(currentUserId, connectionId, { timestamp, messageId });
+      res.status(200).json({ message: "Messages marked as read.", ...result });
+    } catch (error) {
+      console.error("Error marking messages read:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to mark messages as read" });
+    }
+  });
+
+  // Typing Indicator
+  app.post("/api/v1/chats/:connectionId/typing", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const connectionId = req.params.connectionId;
+      const { isTyping } = req.body;
+
+      if (typeof isTyping !== "boolean") {
+        return res.status(400).json({ error: "isTyping must be a boolean." });
+      }
+
+      recordHeartbeat(currentUserId);
+      const result = await sendTypingIndicator(currentUserId, connectionId, isTyping);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error("Error sending typing indicator:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to send typing indicator" });
+    }
+  });
+
   // Get Chat State
   app.get("/api/v1/chats/:connectionId/chat-state", verifyAppwriteJWT, async (req, res) => {
     try {
@@ -189,14 +305,18 @@ module.exports = (app) => {
     try {
       const currentUserId = req.user.$id;
       const connectionId = req.params.connectionId;
-      const { content, messageType } = req.body; // content is text string or image URL string
+      const { content, messageType } = req.body; // content is the message text; images go through the upload route
 
       if (!content || !messageType) {
         return res.status(400).json({ error: "Message content and type are required." });
       }
 
-      if (!['text', 'image'].includes(messageType)) {
-        return res.status(400).json({ error: "Invalid message type. Must be 'text' or 'image'." });
+      if (messageType === 'image') {
+        return res.status(400).json({ error: "Image messages must be uploaded to /api/v1/chats/:connectionId/messages/image." });
+      }
+
+      if (messageType !== 'text') {
+        return res.status(400).json({ error: "Invalid message type. Must be 'text'." });
       }
 
       const newMessage = await sendMessage(currentUserId, connectionId, content, messageType);
@@ -207,6 +327,20 @@ module.exports = (app) => {
     }
   });
 
+  // Send Image Message (multipart upload, field "image")
+  app.post("/api/v1/chats/:connectionId/messages/image", verifyAppwriteJWT, imageUpload, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const connectionId = req.params.connectionId;
+
+      const newMessage = await sendImageMessage(currentUserId, connectionId, req.file.buffer);
+      res.status(200).json({ message: "Message sent successfully", messageData: newMessage });
+    } catch (error) {
+      console.error("Error sending image message:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to send image message" });
+    }
+  });
+
   // Propose Date
   app.post("/api/v1/chats/:connectionId/propose-date", verifyAppwriteJWT, async (req, res) => {
     try {
@@ -250,16 +384,420 @@ module.exports = (app) => {
 
   app.get("/api/v1/chats/:connectionId/messages", verifyAppwriteJWT, async (req, res) => {
     try {
-      console.log("gotten this response")
+      const currentUserId = req.user.$id;
       const connectionId = req.params.connectionId;
-      const messages = await getChatMessages(connectionId);
-      res.status(200).json({ messages });
+      const { before, after, limit } = req.query;
+
+      const result = await getChatMessages(currentUserId, connectionId, { before, after, limit });
+      res.status(200).json(result);
     } catch (error) {
       console.error("Error fetching chat messages:", error.message);
       res.status(error.code || 500).json({ error: error.message || "Failed to fetch chat messages" });
     }
   });
 
+  // Edit Message
+  app.patch("/api/v1/chats/:connectionId/messages/:messageId", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const { connectionId, messageId } = req.params;
+      const { content } = req.body;
+
+      if (!content || typeof content !== "string") {
+        return res.status(400).json({ error: "Message content is required." });
+      }
+
+      const updatedMessage = await editMessage(currentUserId, connectionId, messageId, content);
+      res.status(200).json({ message: "Message edited successfully.", messageData: updatedMessage });
+    } catch (error) {
+      console.error("Error editing message:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to edit message" });
+    }
+  });
+
+  // Unsend Message
+  app.delete("/api/v1/chats/:connectionId/messages/:messageId", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const { connectionId, messageId } = req.params;
+
+      const deletedMessage = await deleteMessage(currentUserId, connectionId, messageId);
+      res.status(200).json({ message: "Message deleted successfully.", messageData: deletedMessage });
+    } catch (error) {
+      console.error("Error deleting message:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to delete message" });
+    }
+  });
+
+  // Block Management Routes
+  // List Blocked Users
+  app.get("/api/v1/users/blocked", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const blockedUsers = await getBlockedUsers(currentUserId);
+      res.status(200).json({ blockedUsers });
+    } catch (error) {
+      console.error("Error fetching blocked users:", error.message);
+      res.status(error.code || 500).json({ error: "Failed to fetch blocked users" });
+    }
+  });
+
+  // Block User
+  app.post("/api/v1/users/:userId/block", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const targetUserId = req.params.userId;
+
+      const result = await blockUser(currentUserId, targetUserId);
+      res.status(200).json({ message: "User blocked successfully.", ...result });
+    } catch (error) {
+      console.error("Error blocking user:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to block user" });
+    }
+  });
+
+  // Unblock User
+  app.delete("/api/v1/users/:userId/block", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const targetUserId = req.params.userId;
+
+      const result = await unblockUser(currentUserId, targetUserId);
+      res.status(200).json({ message: "User unblocked successfully.", ...result });
+    } catch (error) {
+      console.error("Error unblocking user:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to unblock user" });
+    }
+  });
+
+  // Reporting & Moderation Routes
+  // Report User
+  app.post("/api/v1/users/:userId/report", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const reportedUserId = req.params.userId;
+      const { reason, details, messageId, connectionId } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({ error: "reason is required" });
+      }
+
+      const report = await reportUser(currentUserId, reportedUserId, { reason, details, messageId, connectionId });
+      res.status(200).json({ message: "Report submitted.", reportId: report.$id });
+    } catch (error) {
+      console.error("Error reporting user:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to report user" });
+    }
+  });
+
+  // List Reports (admin)
+  app.get("/api/v1/admin/reports", verifyAppwriteJWT, requireAdmin, async (req, res) => {
+    try {
+      const { status, reason, reportedUserId, reporterId, cursor, limit } = req.query;
+      const result = await listReports({ status, reason, reportedUserId, reporterId, cursor, limit });
+      res.status(200).json(result);
+    } catch (error) {
+      console.error("Error fetching reports:", error.message);
+      res.status(error.code || 500).json({ error: "Failed to fetch reports" });
+    }
+  });
+
+  // Resolve Report (admin)
+  app.post("/api/v1/admin/reports/:reportId/resolve", verifyAppwriteJWT, requireAdmin, async (req, res) => {
+    try {
+      const adminUserId = req.user.$id;
+      const reportId = req.params.reportId;
+      const { action, note, suspensionDays } = req.body;
+
+      if (!action) {
+        return res.status(400).json({ error: "action is required" });
+      }
+
+      const result = await resolveReport(adminUserId, reportId, { action, note, suspensionDays });
+      res.status(200).json({ message: "Report resolved.", ...result });
+    } catch (error) {
+      console.error("Error resolving report:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to resolve report" });
+    }
+  });
+
+  // Notification Inbox Routes
+  // List Notifications
+  app.get("/api/v1/notifications", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const { cursor, type, limit } = req.query;
+      const result = await getNotifications(currentUserId, { cursor, type, limit });
+      res.status(200).json(result);
+    } catch (error) {
+      console.error("Error fetching notifications:", error.message);
+      res.status(error.code || 500).json({ error: "Failed to fetch notifications" });
+    }
+  });
+
+  // Unread Notification Count
+  app.get("/api/v1/notifications/unread-count", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const unreadCount = await getUnreadNotificationCount(currentUserId);
+      res.status(200).json({ unreadCount });
+    } catch (error) {
+      console.error("Error fetching unread notification count:", error.message);
+      res.status(error.code || 500).json({ error: "Failed to fetch unread notification count" });
+    }
+  });
+
+  // Mark All Notifications Read
+  app.post("/api/v1/notifications/read-all", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const result = await markAllNotificationsRead(currentUserId);
+      res.status(200).json({ message: "All notifications marked as read.", ...result });
+    } catch (error) {
+      console.error("Error marking all notifications read:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to mark notifications as read" });
+    }
+  });
+
+  // Mark Notification Read
+  app.post("/api/v1/notifications/:notificationId/read", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const notificationId = req.params.notificationId;
+      const notification = await markNotificationRead(currentUserId, notificationId);
+      res.status(200).json({ message: "Notification marked as read.", notification });
+    } catch (error) {
+      console.error("Error marking notification read:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to mark notification as read" });
+    }
+  });
+
+  // Push Target Routes
+  // Register Device
+  app.post("/api/v1/me/push-targets", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const { token, name } = req.body;
+
+      if (!token) {
+        return res.status(400).json({ error: "token is required" });
+      }
+
+      const target = await registerDeviceTarget(currentUserId, token, name);
+      res.status(200).json({ message: "Device registered for push notifications.", targetId: target.$id });
+    } catch (error) {
+      console.error("Error registering push target:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to register device" });
+    }
+  });
+
+  // Unregister Device
+  app.delete("/api/v1/me/push-targets/:targetId", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const result = await unregisterDeviceTarget(currentUserId, req.params.targetId);
+      res.status(200).json({ message: "Device unregistered.", ...result });
+    } catch (error) {
+      console.error("Error unregistering push target:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to unregister device" });
+    }
+  });
+
+  // Presence Routes
+  // Heartbeat
+  app.post("/api/v1/me/presence/heartbeat", verifyAppwriteJWT, (req, res) => {
+    recordHeartbeat(req.user.$id);
+    res.status(200).json({ success: true });
+  });
+
+  // Presence Visibility Setting
+  app.put("/api/v1/me/settings/presence", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const currentUserId = req.user.$id;
+      const { hidePresence } = req.body;
+
+      if (typeof hidePresence !== "boolean") {
+        return res.status(400).json({ error: "hidePresence must be a boolean." });
+      }
+
+      const result = await setPresenceVisibility(currentUserId, hidePresence);
+      res.status(200).json({ message: "Presence setting updated.", ...result });
+    } catch (error) {
+      console.error("Error updating presence setting:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to update presence setting" });
+    }
+  });
+
+  // Profile Photo Routes
+  // Get Photos
+  app.get("/api/v1/me/photos", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const result = await getPhotos(req.user.$id);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error("Error fetching photos:", error.message);
+      res.status(error.code || 500).json({ error: "Failed to fetch photos" });
+    }
+  });
+
+  // Upload Photo (multipart upload, field "image", optional "slot")
+  app.post("/api/v1/me/photos", verifyAppwriteJWT, imageUpload, async (req, res) => {
+    try {
+      const result = await uploadPhoto(req.user.$id, req.file.buffer, req.body.slot);
+      res.status(200).json({ message: "Photo uploaded successfully.", ...result });
+    } catch (error) {
+      console.error("Error uploading photo:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to upload photo" });
+    }
+  });
+
+  // Reorder Photos
+  app.put("/api/v1/me/photos/order", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const { order } = req.body;
+      if (!Array.isArray(order)) {
+        return res.status(400).json({ error: "order must be an array of slot numbers." });
+      }
+
+      const result = await reorderPhotos(req.user.$id, order);
+      res.status(200).json({ message: "Photos reordered successfully.", ...result });
+    } catch (error) {
+      console.error("Error reordering photos:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to reorder photos" });
+    }
+  });
+
+  // Set Primary Photo
+  app.put("/api/v1/me/photos/primary", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const { slot } = req.body;
+      if (slot === undefined) {
+        return res.status(400).json({ error: "slot is required" });
+      }
+
+      const result = await setPrimaryPhoto(req.user.$id, slot);
+      res.status(200).json({ message: "Primary photo updated.", ...result });
+    } catch (error) {
+      console.error("Error setting primary photo:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to set primary photo" });
+    }
+  });
+
+  // Delete Photo
+  app.delete("/api/v1/me/photos/:slot", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const result = await deletePhoto(req.user.$id, req.params.slot);
+      res.status(200).json({ message: "Photo deleted successfully.", ...result });
+    } catch (error) {
+      console.error("Error deleting photo:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to delete photo" });
+    }
+  });
+
+  // Profile Routes
+  // Get My Profile
+  app.get("/api/v1/me/profile", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const profile = await getProfile(req.user.$id, req.user.$id);
+      res.status(200).json({ profile });
+    } catch (error) {
+      console.error("Error fetching profile:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to fetch profile" });
+    }
+  });
+
+  // Edit My Profile (any of age, gender, hobbies, languages, prompts)
+  app.patch("/api/v1/me/profile", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const result = await updateProfile(req.user.$id, req.body || {});
+      res.status(200).json({ message: "Profile updated.", ...result });
+    } catch (error) {
+      console.error("Error updating profile:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to update profile" });
+    }
+  });
+
+  // Get Another User's Profile
+  app.get("/api/v1/users/:userId/profile", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const profile = await getProfile(req.user.$id, req.params.userId);
+      res.status(200).json({ profile });
+    } catch (error) {
+      console.error("Error fetching user profile:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to fetch profile" });
+    }
+  });
+
+  // Profile completion: per-section flags, percentage and what is still missing
+  app.get("/api/v1/me/completion", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const completion = await getCompletionStatus(req.user.$id);
+      res.status(200).json(completion);
+    } catch (error) {
+      console.error("Error fetching completion status:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to fetch completion status" });
+    }
+  });
+
+  // Preference Routes
+  // Get Preferences
+  app.get("/api/v1/me/preferences", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const preferences = await getPreferences(req.user.$id);
+      res.status(200).json({ preferences });
+    } catch (error) {
+      console.error("Error fetching preferences:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to fetch preferences" });
+    }
+  });
+
+  // Update Preferences (fields left out keep their stored value)
+  app.put("/api/v1/me/preferences", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const preferences = await updatePreferences(req.user.$id, req.body || {});
+      res.status(200).json({ message: "Preferences updated.", preferences });
+    } catch (error) {
+      console.error("Error updating preferences:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to update preferences" });
+    }
+  });
+
+  // Location Routes
+  // Update Location (keeps the geohash index used by explore in sync)
+  app.put("/api/v1/me/location", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const { latitude, longitude } = req.body;
+      const location = await updateLocation(req.user.$id, { latitude, longitude });
+      res.status(200).json({ message: "Location updated.", location });
+    } catch (error) {
+      console.error("Error updating location:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to update location" });
+    }
+  });
+
+  // Admirer Routes
+  // Users who liked me (blurred and limited by account tier)
+  app.get("/api/v1/me/admirers", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const result = await getAdmirers(req.user.$id);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error("Error fetching admirers:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to fetch admirers" });
+    }
+  });
+
+  // Users who were recently shown my profile (blurred and limited by account tier)
+  app.get("/api/v1/me/viewers", verifyAppwriteJWT, async (req, res) => {
+    try {
+      const result = await getViewers(req.user.$id);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error("Error fetching viewers:", error.message);
+      res.status(error.code || 500).json({ error: error.message || "Failed to fetch viewers" });
+    }
+  });
+
  // Environment variables (dart-define prefix removed conceptually)
   app.get("/api/v1/env", verifyAppwriteJWT, (_, res) => {
     const keys = [
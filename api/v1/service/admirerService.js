@@ -0,0 +1,161 @@
+// api/v1/service/admirerService.js
+// Lists the reverse side of has-shown: who liked the current user and who was shown their profile.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const {
+    APPWRITE_USERS_COLLECTION_ID,
+    APPWRITE_BIODATA_COLLECTION_ID,
+    APPWRITE_HAS_SHOWN_COLLECTION_ID,
+} = require('../appwrite/appwriteConstants');
+const { ACCOUNT_TIERS, DEFAULT_ACCOUNT_TIER, VIEWERS_WINDOW_DAYS } = require('../constants/accountTiers');
+const { DAY_MS } = require('../constants/time');
+const { getBlockedUserIds } = require('./blockService');
+const { getRestrictedUserIds } = require('./reportService');
+const { listAllHasShown } = require('./impressionService');
+const { buildProfileCards, listDocumentsByIds, PROFILE_CARD_FIELDS } = require('./profileCardService');
+
+// Admirer and viewer cards never reveal where someone is
+const ADMIRER_CARD_FIELDS = PROFILE_CARD_FIELDS.filter((field) => field !== 'location');
+
+/**
+ * Resolves the tier settings of a user from the `tier` attribute of their users document.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object>} `{ tier, settings }`.
+ */
+const getTierSettings = async (appwrite, userId) => {
+    const user = await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, userId);
+    const tier = ACCOUNT_TIERS[user.tier] ? user.tier : DEFAULT_ACCOUNT_TIER;
+    return { tier, settings: ACCOUNT_TIERS[tier] };
+};
+
+/**
+ * Turns has-shown documents pointing at the current user into a tier-limited list of cards.
+ * Users without a profile, and blocked, banned and suspended users, are left out and do not count towards the total.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userId The ID of the current user.
+ * @param {Array<Object>} documents The has-shown documents, newest first.
+ * @param {Object} listSettings `{ limit, blurred }` for this list.
+ * @param {string} timeField The card field holding the event time (e.g. 'likedAt').
+ * @param {Function} getTime Reads the event time from a has-shown document.
+ * @param {Set<string>} [excludedUserIds] Additional users to leave out.
+ * @returns {Promise<Object>} `{ cards, total }`; cards newest first, total counts every listed user.
+ */
+const toCards = async (appwrite, userId, documents, listSettings, timeField, getTime, excludedUserIds = new Set()) => {
+    const otherUserIds = documents.map((doc) => (doc.user ? doc.user.$id : null)).filter(Boolean);
+    const blockedUserIds = await getBlockedUserIds(userId);
+    const restrictedUserIds = await getRestrictedUserIds(otherUserIds, appwrite);
+
+    // Users without biodata have no card to show, so they are left out before counting
+    const profileUserIds = new Set();
+    (await listDocumentsByIds(appwrite, APPWRITE_BIODATA_COLLECTION_ID, 'user', otherUserIds))
+        .forEach((doc) => {
+            if (doc.user) profileUserIds.add(doc.user.$id);
+        });
+
+    const entries = [];
+    for (const doc of documents) {
+        const otherUserId = doc.user ? doc.user.$id : null;
+        if (
+            !otherUserId ||
+            !profileUserIds.has(otherUserId) ||
+            blockedUserIds.has(otherUserId) ||
+            restrictedUserIds.has(otherUserId) ||
+            excludedUserIds.has(otherUserId)
+        ) {
+            continue;
+        }
+        entries.push({ userId: otherUserId, [timeField]: getTime(doc) });
+    }
+    const total = entries.length;
+    const shownEntries = entries.slice(0, listSettings.limit);
+
+    // Blurred cards only reveal that someone is there, not who
+    if (listSettings.blurred) {
+        return {
+            cards: shownEntries.map((entry) => ({ blurred: true, [timeField]: entry[timeField] })),
+            total,
+        };
+    }
+
+    const cards = await buildProfileCards(shownEntries.map((entry) => entry.userId), ADMIRER_CARD_FIELDS, appwrite);
+    return {
+        cards: cards.map((card, i) => ({ ...card, blurred: false, [timeField]: shownEntries[i][timeField] })),
+        total,
+    };
+};
+
+/**
+ * Lists users who liked the current user and are still waiting for a decision.
+ * Users the current user has already liked or passed are not listed.
+ * @param {string} userId The ID of the current user.
+ * @returns {Promise<Object>} `{ admirers, total, tier, blurred, limit }`.
+ */
+const getAdmirers = async (userId) => {
+    const appwrite = new AppwriteService();
+    const { tier, settings } = await getTierSettings(appwrite, userId);
+    const listSettings = settings.admirers;
+
+    // Only swipe likes count; invitations also mark the receiver's row as interested
+    const documents = await listAllHasShown(appwrite, [
+        appwrite.query.equal('who', userId),
+        appwrite.query.equal('is_interested', true),
+        appwrite.query.isNotNull('swiped_at'),
+        appwrite.query.orderDesc('$updatedAt'),
+    ]);
+
+    // Leave out admirers the current user already decided on
+    const admirerIds = documents.map((doc) => (doc.user ? doc.user.$id : null)).filter(Boolean);
+    const decidedUserIds = new Set();
+    (await listDocumentsByIds(appwrite, APPWRITE_HAS_SHOWN_COLLECTION_ID, 'who', admirerIds, [
+        appwrite.query.equal('user', userId),
+    ])).forEach((doc) => {
+        if (doc.who && (doc.is_interested || doc.is_ignore)) decidedUserIds.add(doc.who.$id);
+    });
+
+    const { cards: admirers, total } = await toCards(
+        appwrite,
+        userId,
+        documents,
+        listSettings,
+        'likedAt',
+        (doc) => doc.swiped_at || doc.$updatedAt,
+        decidedUserIds
+    );
+
+    return { admirers, total, tier, blurred: listSettings.blurred, limit: listSettings.limit };
+};
+
+/**
+ * Lists users whose explore feed recently included the current user's profile.
+ * @param {string} userId The ID of the current user.
+ * @returns {Promise<Object>} `{ viewers, total, tier, blurred, limit }`.
+ */
+const getViewers = async (userId) => {
+    const appwrite = new AppwriteService();
+    const { tier, settings } = await getTierSettings(appwrite, userId);
+    const listSettings = settings.viewers;
+
+    const since = new Date(Date.now() - VIEWERS_WINDOW_DAYS * DAY_MS).toISOString();
+    const documents = await listAllHasShown(appwrite, [
+        appwrite.query.equal('who', userId),
+        appwrite.query.greaterThanEqual('$createdAt', since),
+        appwrite.query.orderDesc('$createdAt'),
+    ]);
+
+    const { cards: viewers, total } = await toCards(
+        appwrite,
+        userId,
+        documents,
+        listSettings,
+        'viewedAt',
+        (doc) => doc.$createdAt
+    );
+
+    return { viewers, total, tier, blurred: listSettings.blurred, limit: listSettings.limit };
+};
+
+module.exports = {
+    getAdmirers,
+    getViewers,
+};
@@ -0,0 +1,37 @@
+// api/v1/service/biodataSchemaService.js
+// Reads allowed attribute values from the biodata collection schema, so validation
+// matches what Appwrite stores instead of a hard-coded copy.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const { APPWRITE_BIODATA_COLLECTION_ID } = require('../appwrite/appwriteConstants');
+
+const SCHEMA_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// { options, expiresAt } once the gender attribute has been read
+let genderOptionsCache = null;
+
+/**
+ * Returns the values the biodata `gender` attribute accepts.
+ * @returns {Promise<Array<string>|null>} The enum elements, or null when the attribute is not an enum
+ * or its schema cannot be read (then any non-empty string is accepted).
+ */
+const getGenderOptions = async () => {
+    if (genderOptionsCache && genderOptionsCache.expiresAt > Date.now()) {
+        return genderOptionsCache.options;
+    }
+
+    try {
+        const appwrite = new AppwriteService();
+        const attribute = await appwrite.getAttribute(APPWRITE_BIODATA_COLLECTION_ID, 'gender');
+        const options = Array.isArray(attribute.elements) ? attribute.elements : null;
+        genderOptionsCache = { options, expiresAt: Date.now() + SCHEMA_CACHE_TTL_MS };
+        return options;
+    } catch (err) {
+        console.warn(`Could not read the biodata gender attribute: ${err.message}`);
+        return null;
+    }
+};
+
+module.exports = {
+    getGenderOptions,
+};
@@ -0,0 +1,248 @@
+// api/v1/service/blockService.js
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const {
+    APPWRITE_USERS_COLLECTION_ID,
+    APPWRITE_CONNECTIONS_COLLECTION_ID,
+    APPWRITE_BLOCKED_COLLECTION_ID,
+} = require('../appwrite/appwriteConstants');
+const { publishChatEvent } = require('./realtimeService');
+const { buildProfileCards, LIST_CARD_FIELDS } = require('./profileCardService');
+
+/**
+ * Adds a delta to a numeric counter on a user document, never going below zero.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userId The ID of the user document.
+ * @param {string} field The counter attribute (e.g. 'activeChatCount').
+ * @param {number} delta The amount to add (negative to decrement).
+ */
+const adjustUserCounter = async (appwrite, userId, field, delta) => {
+    let userDoc = null;
+    try {
+        userDoc = await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, userId);
+    } catch (err) {
+        console.warn(`User document not found for ID: ${userId} while adjusting ${field}.`);
+        return;
+    }
+
+    await appwrite.updateDocument(
+        APPWRITE_USERS_COLLECTION_ID,
+        userId,
+        { [field]: Math.max(0, (userDoc[field] || 0) + delta) }
+    );
+};
+
+/**
+ * Returns the IDs of every user the given user has blocked or been blocked by.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Set<string>>} A set of user IDs that must be hidden from this user.
+ */
+const getBlockedUserIds = async (userId) => {
+    const appwrite = new AppwriteService();
+
+    const blockedByMeRes = await appwrite.listDocuments(
+        APPWRITE_BLOCKED_COLLECTION_ID,
+        [appwrite.query.equal('blockerId', userId), appwrite.query.limit(5000)]
+    );
+    const blockedMeRes = await appwrite.listDocuments(
+        APPWRITE_BLOCKED_COLLECTION_ID,
+        [appwrite.query.equal('blockedId', userId), appwrite.query.limit(5000)]
+    );
+
+    const blockedUserIds = new Set();
+    blockedByMeRes.documents.forEach((doc) => {
+        if (doc.blockedId && doc.blockedId.$id) blockedUserIds.add(doc.blockedId.$id);
+    });
+    blockedMeRes.documents.forEach((doc) => {
+        if (doc.blockerId && doc.blockerId.$id) blockedUserIds.add(doc.blockerId.$id);
+    });
+
+    return blockedUserIds;
+};
+
+/**
+ * Checks whether either user has blocked the other.
+ * @param {string} userIdA The ID of the first user.
+ * @param {string} userIdB The ID of the second user.
+ * @returns {Promise<boolean>} True if a block exists in either direction.
+ */
+const isBlockedBetween = async (userIdA, userIdB) => {
+    const appwrite = new AppwriteService();
+
+    const blocksRes = await appwrite.listDocuments(
+        APPWRITE_BLOCKED_COLLECTION_ID,
+        [
+            appwrite.query.equal('blockerId', [userIdA, userIdB]),
+            appwrite.query.equal('blockedId', [userIdA, userIdB]),
+            appwrite.query.limit(2),
+        ]
+    );
+
+    return blocksRes.documents.some((doc) =>
+        doc.blockerId && doc.blockedId && doc.blockerId.$id !== doc.blockedId.$id
+    );
+};
+
+/**
+ * Blocks a user. Ends any active chat between the two users, cancels pending
+ * invitations in both directions and fixes up the counters on the users collection.
+ * @param {string} currentUserId The ID of the user doing the blocking.
+ * @param {string} targetUserId The ID of the user being blocked.
+ * @returns {Promise<Object>} Success status and the number of connections closed.
+ */
+const blockUser = async (currentUserId, targetUserId) => {
+    const appwrite = new AppwriteService();
+
+    if (currentUserId === targetUserId) {
+        const error = new Error('You cannot block yourself.');
+        error.code = 400;
+        throw error;
+    }
+
+    // Make sure the target exists before writing anything
+    try {
+        await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, targetUserId);
+    } catch (err) {
+        const error = new Error('User not found');
+        error.code = 404;
+        throw error;
+    }
+
+    const existingBlockRes = await appwrite.listDocuments(
+        APPWRITE_BLOCKED_COLLECTION_ID,
+        [
+            appwrite.query.equal('blockerId', currentUserId),
+            appwrite.query.equal('blockedId', targetUserId),
+        ]
+    );
+    if (existingBlockRes.documents.length > 0) {
+        const error = new Error('User is already blocked.');
+        error.code = 409;
+        throw error;
+    }
+
+    await appwrite.createDocument(APPWRITE_BLOCKED_COLLECTION_ID, {
+        blockerId: currentUserId,
+        blockedId: targetUserId,
+    });
+
+    // Close every open connection between the two users, in both directions
+    const connectionsRes = await appwrite.listDocuments(
+        APPWRITE_CONNECTIONS_COLLECTION_ID,
+        [
+            appwrite.query.equal('senderId', [currentUserId, targetUserId]),
+            appwrite.query.equal('receiverId', [currentUserId, targetUserId]),
+            appwrite.query.equal('status', ['pending', 'chat_active']),
+        ]
+    );
+
+    let closedConnections = 0;
+    for (const conn of connectionsRes.documents) {
+        const senderUserId = conn.senderId?.$id;
+        const receiverUserId = conn.receiverId?.$id;
+        if (!senderUserId || !receiverUserId || senderUserId === receiverUserId) continue;
+
+        if (conn.status === 'chat_active') {
+            const newStatus = senderUserId === currentUserId ? 'blocked_by_sender' : 'blocked_by_receiver';
+            await appwrite.updateDocument(
+                APPWRITE_CONNECTIONS_COLLECTION_ID,
+                conn.$id,
+                { status: newStatus }
+            );
+            await adjustUserCounter(appwrite, senderUserId, 'activeChatCount', -1);
+            await adjustUserCounter(appwrite, receiverUserId, 'activeChatCount', -1);
+
+            publishChatEvent(
+                [senderUserId, receiverUserId],
+                conn.$id,
+                'chat_removed',
+                { removedBy: currentUserId, status: newStatus },
+                { closeConnectionStreams: true }
+            );
+        } else {
+            await appwrite.updateDocument(
+                APPWRITE_CONNECTIONS_COLLECTION_ID,
+                conn.$id,
+                { status: 'cancelled' }
+            );
+            await adjustUserCounter(appwrite, senderUserId, 'activeSentInvitationCount', -1);
+            await adjustUserCounter(appwrite, receiverUserId, 'activeReceivedInvitationCount', -1);
+        }
+        closedConnections++;
+    }
+
+    return { success: true, closedConnections };
+};
+
+/**
+ * Removes a block previously placed by the current user.
+ * Connections closed by the block are not restored.
+ * @param {string} currentUserId The ID of the user who placed the block.
+ * @param {string} targetUserId The ID of the blocked user.
+ * @returns {Promise<Object>} Success status.
+ */
+const unblockUser = async (currentUserId, targetUserId) => {
+    const appwrite = new AppwriteService();
+
+    const blockRes = await appwrite.listDocuments(
+        APPWRITE_BLOCKED_COLLECTION_ID,
+        [
+            appwrite.query.equal('blockerId', currentUserId),
+            appwrite.query.equal('blockedId', targetUserId),
+        ]
+    );
+    if (!blockRes.documents.length) {
+        const error = new Error('User is not blocked.');
+        error.code = 404;
+        throw error;
+    }
+
+    for (const doc of blockRes.documents) {
+        await appwrite.deleteDocument(APPWRITE_BLOCKED_COLLECTION_ID, doc.$id);
+    }
+
+    return { success: true };
+};
+
+/**
+ * Lists the users blocked by the current user.
+ * @param {string} currentUserId The ID of the user.
+ * @returns {Promise<Array>} A list of blocked users with name and primary image.
+ */
+const getBlockedUsers = async (currentUserId) => {
+    const appwrite = new AppwriteService();
+
+    const blocksRes = await appwrite.listDocuments(
+        APPWRITE_BLOCKED_COLLECTION_ID,
+        [
+            appwrite.query.equal('blockerId', currentUserId),
+            appwrite.query.orderDesc('$createdAt'),
+            appwrite.query.limit(100),
+        ]
+    );
+
+    const blocks = blocksRes.documents.filter((block) => block.blockedId?.$id);
+    const cards = await buildProfileCards(
+        blocks.map((block) => block.blockedId.$id),
+        LIST_CARD_FIELDS,
+        appwrite
+    );
+
+    const results = blocks.map((block, i) => ({
+        blockId: block.$id,
+        userId: cards[i].userId,
+        name: cards[i].name || 'Unknown',
+        primaryImage: cards[i].primaryImage,
+        blockedAt: block.$createdAt,
+    }));
+
+    return results;
+};
+
+module.exports = {
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    getBlockedUserIds,
+    isBlockedBetween,
+};
@@ -9,8 +9,136 @@ const {
   APPWRITE_MESSAGES_COLLECTION_ID,
   APPWRITE_MESSAGES_INBOX_COLLECTION_ID,
 } = require("../appwrite/appwriteConstants");
+const { notifyUser } = require("./notificationService");
+const { sendPushToUser } = require("./pushService");
+const { publishChatEvent } = require("./realtimeService");
+const { getHiddenPresenceUserIds, getPresence } = require("./presenceService");
+const { storeImage, deleteStoredImage, getFileIdFromUrl } = require("./imageService");
+const { buildProfileCards, LIST_CARD_FIELDS, QUERY_CHUNK_SIZE } = require("./profileCardService");
 
 const MESSAGE_LIMIT = 100;
+const MESSAGES_PAGE_SIZE = 50;
+const MAX_MESSAGES_PAGE_SIZE = 100;
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const DELETED_MESSAGE_PLACEHOLDER = "[Deleted]";
+const UNREAD_PAGE_SIZE = 100;
+
+/**
+ * Loads a connection and checks that it is an active chat the user takes part in.
+ * @param {string} currentUserId The ID of the currently authenticated user.
+ * @param {string} connectionId The ID of the connection document.
+ * @param {string} errorMessage The message of the 403 error thrown when the check fails.
+ * @param {AppwriteService} [appwrite] An existing service instance to reuse.
+ * @returns {Promise<Object>} The connection document.
+ */
+const getAuthorizedChatConnection = async (
+  currentUserId,
+  connectionId,
+  errorMessage = "Unauthorized or invalid chat connection",
+  appwrite = new AppwriteService()
+) => {
+  const connectionDoc = await appwrite.getDocument(
+    APPWRITE_CONNECTIONS_COLLECTION_ID,
+    connectionId
+  );
+
+  if (
+    !connectionDoc ||
+    connectionDoc.status !== "chat_active" ||
+    (connectionDoc.senderId.$id !== currentUserId &&
+      connectionDoc.receiverId.$id !== currentUserId)
+  ) {
+    const error = new Error(errorMessage);
+    error.code = 403;
+    throw error;
+  }
+
+  return connectionDoc;
+};
+
+/**
+ * Extracts the date-proposal state from a connection document for real-time clients.
+ * @param {Object} connectionDoc The connection document.
+ * @returns {Object} The date-proposal fields with relationships flattened to IDs.
+ */
+const toDateProposalState = (connectionDoc) => ({
+  dateProposalStatus: connectionDoc.dateProposalStatus || "none",
+  dateProposalDate: connectionDoc.dateProposalDate || null,
+  dateProposalPlace: connectionDoc.dateProposalPlace || null,
+  dateProposalProposerId:
+    connectionDoc.dateProposalProposerId?.$id ||
+    connectionDoc.dateProposalProposerId ||
+    null,
+  dateProposalLastActionBy:
+    connectionDoc.dateProposalLastActionBy?.$id ||
+    connectionDoc.dateProposalLastActionBy ||
+    null,
+});
+
+/**
+ * Returns the connection attribute holding the given participant's read marker.
+ * @param {Object} connectionDoc The connection document.
+ * @param {string} userId The ID of the participant.
+ * @returns {string} 'senderLastReadAt' or 'receiverLastReadAt'.
+ */
+const getLastReadField = (connectionDoc, userId) =>
+  connectionDoc.senderId && connectionDoc.senderId.$id === userId
+    ? "senderLastReadAt"
+    : "receiverLastReadAt";
+
+/**
+ * Returns when the given participant last read the chat.
+ * @param {Object} connectionDoc The connection document.
+ * @param {string} userId The ID of the participant.
+ * @returns {string|null} ISO timestamp or null if never read.
+ */
+const getLastReadAt = (connectionDoc, userId) =>
+  connectionDoc[getLastReadField(connectionDoc, userId)] || null;
+
+/**
+ * Counts the partner's unread messages in each of the given chats.
+ * All chats are counted together with paged queries instead of one query per chat;
+ * each chat holds at most MESSAGE_LIMIT messages, so the pages stay bounded.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} currentUserId The ID of the reader.
+ * @param {Array<string>} connectionIds The IDs of the connection documents.
+ * @returns {Promise<Map<string, number>>} Unread counts keyed by connection ID.
+ */
+const countUnreadMessages = async (appwrite, currentUserId, connectionIds) => {
+  const unreadCounts = new Map();
+
+  for (let i = 0; i < connectionIds.length; i += QUERY_CHUNK_SIZE) {
+    const chunk = connectionIds.slice(i, i + QUERY_CHUNK_SIZE);
+    let cursor = null;
+
+    while (true) {
+      const queries = [
+        Query.equal("connectionId", chunk),
+        Query.equal("is_read", false),
+        Query.notEqual("senderId", currentUserId),
+        Query.orderAsc("$id"),
+        Query.limit(UNREAD_PAGE_SIZE),
+      ];
+      if (cursor) queries.push(Query.cursorAfter(cursor));
+
+      const res = await appwrite.listDocuments(
+        APPWRITE_MESSAGES_COLLECTION_ID,
+        queries
+      );
+      res.documents.forEach((message) => {
+        unreadCounts.set(
+          message.connectionId,
+          (unreadCounts.get(message.connectionId) || 0) + 1
+        );
+      });
+
+      if (res.documents.length < UNREAD_PAGE_SIZE) break;
+      cursor = res.documents[res.documents.length - 1].$id;
+    }
+  }
+
+  return unreadCounts;
+};
 
 /**
  * Fetches active chats for a given user.
@@ -52,8 +180,7 @@ const getActiveChats = async (currentUserId) => {
     return [];
   }
 
-  const chatList = [];
-
+  const chats = [];
   for (const conn of activeConnections) {
     // Determine the partner's ID, ensuring null safety for relationship objects
     const partnerId =
@@ -69,45 +196,55 @@ const getActiveChats = async (currentUserId) => {
       console.warn(`Could not determine partner ID for connection ${conn.$id}`);
       continue;
     }
+    chats.push({ conn, partnerId });
+  }
 
-    // Fetch partner's user document for name
-    let partnerUser = null;
-    try {
-      partnerUser = await appwrite.getDocument(
-        APPWRITE_USERS_COLLECTION_ID,
-        partnerId
-      );
-    } catch (err) {
-      console.warn(
-        `No user document found for partnerId ${partnerId} in chat: ${err.message}`
-      );
-      continue;
-    }
+  // Partner names, primary photos and last-seen times for the whole list in one pass
+  const partnerCards = await buildProfileCards(
+    chats.map((chat) => chat.partnerId),
+    [...LIST_CARD_FIELDS, "lastSeenAt"],
+    appwrite
+  );
 
-    // Fetch partner's primary image
-    let partnerPrimaryImage = null;
-    try {
-      const imageRes = await appwrite.listDocuments(
-        APPWRITE_IMAGES_COLLECTION_ID,
-        [Query.equal("user", partnerId)]
-      );
-      // image_1 holds the primary image URL
-      partnerPrimaryImage = imageRes.documents[0]?.image_1 || null;
-    } catch (err) {
-      console.warn(
-        `No images found for partnerId ${partnerId} in chat: ${err.message}`
-      );
-    }
+  // Unread counts for every chat at once
+  let unreadCounts = new Map();
+  try {
+    unreadCounts = await countUnreadMessages(
+      appwrite,
+      currentUserId,
+      chats.map((chat) => chat.conn.$id)
+    );
+  } catch (err) {
+    console.warn(`Failed to count unread messages: ${err.message}`);
+  }
 
-    chatList.push({
+  const partnerUsers = new Map();
+  const chatList = chats.map(({ conn, partnerId }, i) => {
+    const partnerCard = partnerCards[i];
+    partnerUsers.set(partnerId, partnerCard);
+
+    return {
       connectionId: conn.$id,
       partnerId: partnerId,
-      partnerName: partnerUser?.name || "Unknown",
-      partnerPhotoUrl: partnerPrimaryImage,
+      partnerName: partnerCard.name || "Unknown",
+      partnerPhotoUrl: partnerCard.primaryImage,
       messageCount: conn.messageCount || 0,
       dateProposalStatus: conn.dateProposalStatus || "none",
-    });
-  }
+      unreadCount: unreadCounts.get(conn.$id) || 0,
+      lastReadAt: getLastReadAt(conn, currentUserId),
+    };
+  });
+
+  const hiddenPresenceUserIds = await getHiddenPresenceUserIds(
+    chatList.map((chat) => chat.partnerId)
+  );
+  chatList.forEach((chat) => {
+    chat.partnerPresence = getPresence(
+      chat.partnerId,
+      partnerUsers.get(chat.partnerId),
+      hiddenPresenceUserIds.has(chat.partnerId)
+    );
+  });
 
   return chatList;
 };
@@ -121,24 +258,13 @@ const getActiveChats = async (currentUserId) => {
 const removeChat = async (currentUserId, connectionId) => {
   const appwrite = new AppwriteService();
 
-  const connectionDoc = await appwrite.getDocument(
-    APPWRITE_CONNECTIONS_COLLECTION_ID,
-    connectionId
+  const connectionDoc = await getAuthorizedChatConnection(
+    currentUserId,
+    connectionId,
+    "Unauthorized or invalid chat connection for removal",
+    appwrite
   );
 
-  if (
-    !connectionDoc ||
-    connectionDoc.status !== "chat_active" ||
-    (connectionDoc.senderId.$id !== currentUserId &&
-      connectionDoc.receiverId.$id !== currentUserId)
-  ) {
-    const error = new Error(
-      "Unauthorized or invalid chat connection for removal"
-    );
-    error.code = 403;
-    throw error;
-  }
-
   const senderUserId = connectionDoc.senderId.$id;
   const receiverUserId = connectionDoc.receiverId.$id;
 
@@ -194,6 +320,18 @@ const removeChat = async (currentUserId, connectionId) => {
     );
   }
 
+  const partnerId =
+    senderUserId === currentUserId ? receiverUserId : senderUserId;
+  await notifyUser(partnerId, currentUserId, "chat_removed", "A chat was ended.");
+
+  publishChatEvent(
+    [senderUserId, receiverUserId],
+    connectionId,
+    "chat_removed",
+    { removedBy: currentUserId, status: newStatus },
+    { closeConnectionStreams: true }
+  );
+
   return { success: true, message: "Chat removed successfully" };
 };
 
@@ -206,24 +344,13 @@ const removeChat = async (currentUserId, connectionId) => {
 const getChatState = async (currentUserId, connectionId) => {
   const appwrite = new AppwriteService();
 
-  const connectionDoc = await appwrite.getDocument(
-    APPWRITE_CONNECTIONS_COLLECTION_ID,
-    connectionId
+  const connectionDoc = await getAuthorizedChatConnection(
+    currentUserId,
+    connectionId,
+    "Unauthorized or invalid chat connection for state lookup",
+    appwrite
   );
 
-  if (
-    !connectionDoc ||
-    connectionDoc.status !== "chat_active" ||
-    (connectionDoc.senderId.$id !== currentUserId &&
-      connectionDoc.receiverId.$id !== currentUserId)
-  ) {
-    const error = new Error(
-      "Unauthorized or invalid chat connection for state lookup"
-    );
-    error.code = 403;
-    throw error;
-  }
-
   const partnerId =
     connectionDoc.senderId.$id === currentUserId
       ? connectionDoc.receiverId.$id
@@ -254,6 +381,8 @@ const getChatState = async (currentUserId, connectionId) => {
     );
   }
 
+  const hiddenPresenceUserIds = await getHiddenPresenceUserIds([partnerId]);
+
   return {
     connectionId: connectionDoc.$id,
     currentMessageCount: connectionDoc.messageCount || 0,
@@ -282,6 +411,11 @@ const getChatState = async (currentUserId, connectionId) => {
     partnerId: partnerId,
     partnerName: partnerUser?.name || "Unknown",
     partnerPhotoUrl: partnerPrimaryImage,
+    partnerPresence: getPresence(
+      partnerId,
+      partnerUser,
+      hiddenPresenceUserIds.has(partnerId)
+    ),
   };
 };
 
@@ -301,24 +435,13 @@ const sendMessage = async (
 ) => {
   const appwrite = new AppwriteService();
 
-  const connectionDoc = await appwrite.getDocument(
-    APPWRITE_CONNECTIONS_COLLECTION_ID,
-    connectionId
+  const connectionDoc = await getAuthorizedChatConnection(
+    currentUserId,
+    connectionId,
+    "Unauthorized or invalid chat connection to send message",
+    appwrite
   );
 
-  if (
-    !connectionDoc ||
-    connectionDoc.status !== "chat_active" ||
-    (connectionDoc.senderId.$id !== currentUserId &&
-      connectionDoc.receiverId.$id !== currentUserId)
-  ) {
-    const error = new Error(
-      "Unauthorized or invalid chat connection to send message"
-    );
-    error.code = 403;
-    throw error;
-  }
-
   const currentMessageCount = connectionDoc.messageCount || 0;
   if (currentMessageCount >= MESSAGE_LIMIT) {
     const error = new Error("Message limit reached for this chat.");
@@ -340,6 +463,14 @@ const sendMessage = async (
     newMessageData.is_image = false;
     newMessageData.imageUrl = null;
   } else if (messageType === "image") {
+    // Only URLs generated by the image upload endpoint are accepted
+    if (!getFileIdFromUrl(messageContent)) {
+      const error = new Error(
+        "Image messages must be sent through the image upload endpoint."
+      );
+      error.code = 400;
+      throw error;
+    }
     newMessageData.message = "[Image]"; // Placeholder text for image message
     newMessageData.is_image = true;
     newMessageData.imageUrl = messageContent; // messageContent is the image URL
@@ -409,9 +540,68 @@ const sendMessage = async (
     { messageCount: currentMessageCount + 1 }
   );
 
+  const partnerId =
+    connectionDoc.senderId.$id === currentUserId
+      ? connectionDoc.receiverId.$id
+      : connectionDoc.senderId.$id;
+
+  publishChatEvent([currentUserId, partnerId], connectionId, "message", {
+    message: newMessage,
+  });
+
+  const senderName =
+    (connectionDoc.senderId.$id === currentUserId
+      ? connectionDoc.senderId.name
+      : connectionDoc.receiverId.name) || "Someone";
+  await sendPushToUser(partnerId, {
+    title: senderName,
+    body: messageType === "image" ? "Sent you a photo" : messageContent.slice(0, 100),
+    data: {
+      type: "new_message",
+      connectionId: connectionId,
+      senderId: currentUserId,
+      messageId: newMessage.$id,
+    },
+  });
+
   return newMessage;
 };
 
+/**
+ * Validates and stores an uploaded image, then sends it as an image message.
+ * @param {string} currentUserId The ID of the user sending the image.
+ * @param {string} connectionId The ID of the connection document.
+ * @param {Buffer} imageBuffer The raw uploaded image bytes.
+ * @returns {Promise<Object>} The created message document.
+ */
+const sendImageMessage = async (currentUserId, connectionId, imageBuffer) => {
+  // Check access and the message limit before storing anything
+  const connectionDoc = await getAuthorizedChatConnection(
+    currentUserId,
+    connectionId,
+    "Unauthorized or invalid chat connection to send message"
+  );
+  if ((connectionDoc.messageCount || 0) >= MESSAGE_LIMIT) {
+    const error = new Error("Message limit reached for this chat.");
+    error.code = 403;
+    throw error;
+  }
+
+  const storedImage = await storeImage(imageBuffer, "chat");
+
+  try {
+    return await sendMessage(
+      currentUserId,
+      connectionId,
+      storedImage.url,
+      "image"
+    );
+  } catch (err) {
+    await deleteStoredImage(storedImage.fileId);
+    throw err;
+  }
+};
+
 /**
  * Proposes a date for a chat connection.
  * @param {string} currentUserId The ID of the user proposing the date.
@@ -422,24 +612,13 @@ const sendMessage = async (
 const proposeDate = async (currentUserId, connectionId, proposalDetails) => {
   const appwrite = new AppwriteService();
 
-  const connectionDoc = await appwrite.getDocument(
-    APPWRITE_CONNECTIONS_COLLECTION_ID,
-    connectionId
+  const connectionDoc = await getAuthorizedChatConnection(
+    currentUserId,
+    connectionId,
+    "Unauthorized or invalid chat connection for date proposal",
+    appwrite
   );
 
-  if (
-    !connectionDoc ||
-    connectionDoc.status !== "chat_active" ||
-    (connectionDoc.senderId.$id !== currentUserId &&
-      connectionDoc.receiverId.$id !== currentUserId)
-  ) {
-    const error = new Error(
-      "Unauthorized or invalid chat connection for date proposal"
-    );
-    error.code = 403;
-    throw error;
-  }
-
   const currentMessageCount = connectionDoc.messageCount || 0;
   if (currentMessageCount >= MESSAGE_LIMIT) {
     const error = new Error("Message limit reached. Cannot propose date.");
@@ -496,7 +675,7 @@ const proposeDate = async (currentUserId, connectionId, proposalDetails) => {
     }
   );
 
-  await appwrite.createDocument(
+  const proposalMessage = await appwrite.createDocument(
     APPWRITE_MESSAGES_COLLECTION_ID,
     {
       connectionId: connectionId,
@@ -530,6 +709,22 @@ const proposeDate = async (currentUserId, connectionId, proposalDetails) => {
     }
   );
 
+  const partnerId =
+    connectionDoc.senderId.$id === currentUserId
+      ? connectionDoc.receiverId.$id
+      : connectionDoc.senderId.$id;
+  await notifyUser(partnerId, currentUserId, "date_proposed", proposalMessageText);
+
+  publishChatEvent([currentUserId, partnerId], connectionId, "message", {
+    message: proposalMessage,
+  });
+  publishChatEvent(
+    [currentUserId, partnerId],
+    connectionId,
+    "date_proposal",
+    toDateProposalState(updatedConnection)
+  );
+
   return updatedConnection;
 };
 
@@ -545,24 +740,13 @@ const respondToDateProposal = async ( currentUserId, connectionId, responseType,
 ) => {
   const appwrite = new AppwriteService();
 
-  const connectionDoc = await appwrite.getDocument(
-    APPWRITE_CONNECTIONS_COLLECTION_ID,
-    connectionId
+  const connectionDoc = await getAuthorizedChatConnection(
+    currentUserId,
+    connectionId,
+    "Unauthorized or invalid chat connection for date response",
+    appwrite
   );
 
-  if (
-    !connectionDoc ||
-    connectionDoc.status !== "chat_active" ||
-    (connectionDoc.senderId.$id !== currentUserId &&
-      connectionDoc.receiverId.$id !== currentUserId)
-  ) {
-    const error = new Error(
-      "Unauthorized or invalid chat connection for date response"
-    );
-    error.code = 403;
-    throw error;
-  }
-
   if (!["proposed", "modified"].includes(connectionDoc.dateProposalStatus)) {
     const error = new Error("No active proposal to respond to.");
     error.code = 400;
@@ -597,10 +781,6 @@ const respondToDateProposal = async ( currentUserId, connectionId, responseType,
         dateProposalLastActionBy: currentUserId,
       };
       responseMessageText = "Accepted the date proposal!";
-      // TODO: Trigger push notification for date confirmation
-      console.log(
-        `Push Notification: Date confirmed between ${connectionDoc.senderId.$id} and ${connectionDoc.receiverId.$id}!`
-      );
       break;
     case "reject":
       updateData = {
@@ -637,7 +817,7 @@ const respondToDateProposal = async ( currentUserId, connectionId, responseType,
   }
 
   // Create a new message document for the response event
-  await appwrite.createDocument(
+  const responseMessage = await appwrite.createDocument(
     APPWRITE_MESSAGES_COLLECTION_ID,
     {
       connectionId: connectionId,
@@ -665,33 +845,446 @@ const respondToDateProposal = async ( currentUserId, connectionId, responseType,
     updateData
   );
 
+  const partnerId =
+    connectionDoc.senderId.$id === currentUserId
+      ? connectionDoc.receiverId.$id
+      : connectionDoc.senderId.$id;
+  publishChatEvent([currentUserId, partnerId], connectionId, "message", {
+    message: responseMessage,
+  });
+  publishChatEvent(
+    [currentUserId, partnerId],
+    connectionId,
+    "date_proposal",
+    toDateProposalState(updatedConnection)
+  );
+
+  if (responseType === "accept") {
+    await notifyUser(partnerId, currentUserId, "date_accepted", responseMessageText);
+    await sendPushToUser(partnerId, {
+      title: "Date confirmed!",
+      body: `Your date at ${connectionDoc.dateProposalPlace} is on.`,
+      data: {
+        type: "date_accepted",
+        connectionId: connectionId,
+        senderId: currentUserId,
+      },
+    });
+  } else if (responseType === "modify") {
+    await notifyUser(partnerId, currentUserId, "date_modified", responseMessageText);
+  }
+
   return updatedConnection;
 };
 
-// Function to fetch all messages for a given connection
-const getChatMessages = async (connectionId) => {
+/**
+ * Broadcasts an ephemeral typing indicator to the chat partner. Nothing is stored.
+ * @param {string} currentUserId The ID of the user who is typing.
+ * @param {string} connectionId The ID of the connection document.
+ * @param {boolean} isTyping Whether the user started or stopped typing.
+ * @returns {Promise<Object>} Success status.
+ */
+const sendTypingIndicator = async (currentUserId, connectionId, isTyping) => {
+  const connectionDoc = await getAuthorizedChatConnection(
+    currentUserId,
+    connectionId,
+    "Unauthorized or invalid chat connection for typing indicator"
+  );
+
+  const partnerId =
+    connectionDoc.senderId.$id === currentUserId
+      ? connectionDoc.receiverId.$id
+      : connectionDoc.senderId.$id;
+
+  publishChatEvent([partnerId], connectionId, "typing", {
+    userId: currentUserId,
+    isTyping: !!isTyping,
+  });
+
+  return { success: true };
+};
+
+/**
+ * Marks the partner's messages as read for the caller, up to a timestamp or message.
+ * @param {string} currentUserId The ID of the user reading the chat.
+ * @param {string} connectionId The ID of the connection document.
+ * @param {Object} [upTo] `{ timestamp, messageId }`; defaults to everything sent so far.
+ * @returns {Promise<Object>} `{ success, updated, lastReadAt }`.
+ */
+const markMessagesRead = async (currentUserId, connectionId, upTo = {}) => {
+  const appwrite = new AppwriteService();
+
+  const connectionDoc = await getAuthorizedChatConnection(
+    currentUserId,
+    connectionId,
+    "Unauthorized or invalid chat connection for read receipts",
+    appwrite
+  );
+
+  let cutoff = Date.now();
+  if (upTo.messageId) {
+    const messageDoc = await appwrite.getDocument(
+      APPWRITE_MESSAGES_COLLECTION_ID,
+      upTo.messageId
+    );
+    if (messageDoc.connectionId !== connectionId) {
+      const error = new Error("Message does not belong to this chat.");
+      error.code = 400;
+      throw error;
+    }
+    cutoff = messageDoc.timestamp;
+  } else if (upTo.timestamp !== undefined) {
+    // Accept either epoch milliseconds (as stored on messages) or an ISO date string
+    cutoff = Number.isFinite(Number(upTo.timestamp))
+      ? Number(upTo.timestamp)
+      : Date.parse(upTo.timestamp);
+    if (!Number.isFinite(cutoff)) {
+      const error = new Error("Invalid timestamp.");
+      error.code = 400;
+      throw error;
+    }
+  }
+
+  const readAt = new Date().toISOString();
+  let updated = 0;
+
+  // Each pass re-queries unread messages, so the ones just updated drop out
+  while (true) {
+    const unreadRes = await appwrite.listDocuments(
+      APPWRITE_MESSAGES_COLLECTION_ID,
+      [
+        Query.equal("connectionId", connectionId),
+        Query.equal("is_read", false),
+        Query.notEqual("senderId", currentUserId),
+        Query.lessThanEqual("timestamp", cutoff),
+        Query.limit(100),
+      ]
+    );
+
+    for (const doc of unreadRes.documents) {
+      await appwrite.updateDocument(APPWRITE_MESSAGES_COLLECTION_ID, doc.$id, {
+        is_read: true,
+        readAt: readAt,
+      });
+      updated++;
+    }
+
+    if (unreadRes.documents.length < 100) break;
+  }
+
+  // The read marker only ever moves forward
+  const lastReadField = getLastReadField(connectionDoc, currentUserId);
+  const previousLastReadAt = connectionDoc[lastReadField];
+  const lastReadAt = new Date(cutoff).toISOString();
+  if (!previousLastReadAt || new Date(previousLastReadAt).getTime() < cutoff) {
+    await appwrite.updateDocument(
+      APPWRITE_CONNECTIONS_COLLECTION_ID,
+      connectionId,
+      { [lastReadField]: lastReadAt }
+    );
+  }
+
+  const partnerId =
+    connectionDoc.senderId.$id === currentUserId
+      ? connectionDoc.receiverId.$id
+      : connectionDoc.senderId.$id;
+  if (updated > 0) {
+    publishChatEvent([partnerId], connectionId, "read", {
+      readerId: currentUserId,
+      upToTimestamp: cutoff,
+      readAt: readAt,
+    });
+  }
+
+  return {
+    success: true,
+    updated,
+    lastReadAt:
+      previousLastReadAt && new Date(previousLastReadAt).getTime() >= cutoff
+        ? previousLastReadAt
+        : lastReadAt,
+  };
+};
+
+/**
+ * Fetches a page of chat history for a participant of the connection.
+ * Pages are returned in chronological order. Pass `prevCursor` back as `before`
+ * to load older history, and `nextCursor` as `after` to fetch newer messages.
+ * @param {string} currentUserId The ID of the currently authenticated user.
+ * @param {string} connectionId The ID of the connection document.
+ * @param {Object} [options] `{ before, after, limit }` where before/after are message IDs.
+ * @returns {Promise<Object>} `{ messages, nextCursor, prevCursor }`.
+ */
+const getChatMessages = async (currentUserId, connectionId, options = {}) => {
   const appwrite = new AppwriteService();
-  // Order by timestamp to get messages in chronological order
-  const messages = await appwrite.listDocuments(
+  const { before, after } = options;
+
+  if (before && after) {
+    const error = new Error("Use either 'before' or 'after', not both.");
+    error.code = 400;
+    throw error;
+  }
+
+  const limit = options.limit === undefined ? MESSAGES_PAGE_SIZE : parseInt(options.limit);
+  if (isNaN(limit) || limit <= 0 || limit > MAX_MESSAGES_PAGE_SIZE) {
+    const error = new Error(
+      `Invalid limit. Must be between 1 and ${MAX_MESSAGES_PAGE_SIZE}.`
+    );
+    error.code = 400;
+    throw error;
+  }
+
+  // History stays readable after a chat ends, but only to its two participants
+  const connectionDoc = await appwrite.getDocument(
+    APPWRITE_CONNECTIONS_COLLECTION_ID,
+    connectionId
+  );
+  if (
+    !connectionDoc ||
+    (connectionDoc.senderId?.$id !== currentUserId &&
+      connectionDoc.receiverId?.$id !== currentUserId)
+  ) {
+    const error = new Error("Unauthorized chat connection for messages");
+    error.code = 403;
+    throw error;
+  }
+
+  // Fetch one extra document to learn whether more pages exist in that direction
+  const queries = [
+    Query.equal("connectionId", connectionId),
+    Query.limit(limit + 1),
+  ];
+  if (after) {
+    queries.push(Query.orderAsc("timestamp"), Query.cursorAfter(after));
+  } else {
+    queries.push(Query.orderDesc("timestamp"));
+    if (before) queries.push(Query.cursorAfter(before));
+  }
+
+  const messagesRes = await appwrite.listDocuments(
     APPWRITE_MESSAGES_COLLECTION_ID,
-    [
-      Query.equal("connectionId", connectionId),
-      Query.orderAsc("timestamp"), // Use timestamp for ordering
-      Query.limit(200), // Only fetch up to the message limit
-    ]
+    queries
   );
 
-  console.log(messages.total);
+  const hasMore = messagesRes.documents.length > limit;
+  let page = messagesRes.documents.slice(0, limit);
+  if (!after) page = page.reverse();
+
+  // Expose read and edit state explicitly so the app can render receipts and markers
+  const messages = page.map((doc) => ({
+    ...doc,
+    isRead: !!doc.is_read,
+    readAt: doc.readAt || null,
+    editedAt: doc.editedAt || null,
+    isDeleted: !!doc.is_deleted,
+  }));
+
+  const oldest = messages[0];
+  const newest = messages[messages.length - 1];
+  const hasOlder = after ? true : hasMore;
+
+  return {
+    messages,
+    // Newer messages can always arrive, so the newest ID is always a valid 'after' cursor
+    nextCursor: newest ? newest.$id : after || null,
+    prevCursor: oldest && hasOlder ? oldest.$id : null,
+  };
+};
+
+/**
+ * Loads a message the caller sent in an active chat, for editing or unsending.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} currentUserId The ID of the user changing the message.
+ * @param {string} connectionId The ID of the connection document.
+ * @param {string} messageId The ID of the message document.
+ * @returns {Promise<Object>} `{ connectionDoc, messageDoc }`.
+ */
+const getOwnMessage = async (appwrite, currentUserId, connectionId, messageId) => {
+  const connectionDoc = await getAuthorizedChatConnection(
+    currentUserId,
+    connectionId,
+    "Unauthorized or invalid chat connection for message change",
+    appwrite
+  );
+
+  const messageDoc = await appwrite.getDocument(
+    APPWRITE_MESSAGES_COLLECTION_ID,
+    messageId
+  );
+
+  if (
+    messageDoc.connectionId !== connectionId ||
+    messageDoc.senderId !== currentUserId
+  ) {
+    const error = new Error("You can only change your own messages.");
+    error.code = 403;
+    throw error;
+  }
+
+  if (!["text", "image"].includes(messageDoc.messageType)) {
+    const error = new Error("Date proposal messages cannot be changed.");
+    error.code = 400;
+    throw error;
+  }
+
+  if (messageDoc.is_deleted) {
+    const error = new Error("Message has already been deleted.");
+    error.code = 409;
+    throw error;
+  }
+
+  return { connectionDoc, messageDoc };
+};
+
+/**
+ * Updates the messages_inbox preview when the changed message is the latest one in the chat.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} connectionId The ID of the connection document.
+ * @param {Object} updatedMessage The updated message document.
+ */
+const syncInboxIfLatest = async (appwrite, connectionId, updatedMessage) => {
+  try {
+    const latestRes = await appwrite.listDocuments(
+      APPWRITE_MESSAGES_COLLECTION_ID,
+      [
+        Query.equal("connectionId", connectionId),
+        Query.orderDesc("timestamp"),
+        Query.limit(1),
+      ]
+    );
+    if (latestRes.documents[0]?.$id !== updatedMessage.$id) return;
+
+    await appwrite.updateDocument(
+      APPWRITE_MESSAGES_INBOX_COLLECTION_ID,
+      connectionId,
+      {
+        message: updatedMessage.message,
+        senderId: updatedMessage.senderId,
+        messageType: updatedMessage.messageType,
+        is_image: updatedMessage.is_image,
+        imageUrl: updatedMessage.imageUrl,
+      }
+    );
+  } catch (e) {
+    console.error("Error syncing chat inbox:", e.message || e.toString());
+  }
+};
+
+/**
+ * Edits the text of a message the caller sent, within MESSAGE_EDIT_WINDOW_MS.
+ * Edits do not count against MESSAGE_LIMIT.
+ * @param {string} currentUserId The ID of the sender.
+ * @param {string} connectionId The ID of the connection document.
+ * @param {string} messageId The ID of the message document.
+ * @param {string} newContent The new message text.
+ * @returns {Promise<Object>} The updated message document.
+ */
+const editMessage = async (currentUserId, connectionId, messageId, newContent) => {
+  const appwrite = new AppwriteService();
+
+  const { connectionDoc, messageDoc } = await getOwnMessage(
+    appwrite,
+    currentUserId,
+    connectionId,
+    messageId
+  );
+
+  if (messageDoc.messageType !== "text") {
+    const error = new Error("Only text messages can be edited.");
+    error.code = 400;
+    throw error;
+  }
+
+  if (Date.now() - messageDoc.timestamp > MESSAGE_EDIT_WINDOW_MS) {
+    const error = new Error("The edit window for this message has passed.");
+    error.code = 403;
+    throw error;
+  }
+
+  const updatedMessage = await appwrite.updateDocument(
+    APPWRITE_MESSAGES_COLLECTION_ID,
+    messageId,
+    {
+      message: newContent,
+      editedAt: new Date().toISOString(),
+    }
+  );
+
+  await syncInboxIfLatest(appwrite, connectionId, updatedMessage);
+
+  const partnerId =
+    connectionDoc.senderId.$id === currentUserId
+      ? connectionDoc.receiverId.$id
+      : connectionDoc.senderId.$id;
+  publishChatEvent([currentUserId, partnerId], connectionId, "message_updated", {
+    message: updatedMessage,
+  });
+
+  return updatedMessage;
+};
+
+/**
+ * Unsends a message the caller sent, turning it into a tombstone.
+ * Deletes do not count against MESSAGE_LIMIT.
+ * @param {string} currentUserId The ID of the sender.
+ * @param {string} connectionId The ID of the connection document.
+ * @param {string} messageId The ID of the message document.
+ * @returns {Promise<Object>} The tombstoned message document.
+ */
+const deleteMessage = async (currentUserId, connectionId, messageId) => {
+  const appwrite = new AppwriteService();
+
+  const { connectionDoc, messageDoc } = await getOwnMessage(
+    appwrite,
+    currentUserId,
+    connectionId,
+    messageId
+  );
+
+  const updatedMessage = await appwrite.updateDocument(
+    APPWRITE_MESSAGES_COLLECTION_ID,
+    messageId,
+    {
+      message: DELETED_MESSAGE_PLACEHOLDER,
+      is_image: false,
+      imageUrl: null,
+      is_deleted: true,
+      deletedAt: new Date().toISOString(),
+    }
+  );
+
+  // The stored file would otherwise stay reachable at its old URL. Only delete it once
+  // the message no longer points at it
+  if (messageDoc.is_image) {
+    const fileId = getFileIdFromUrl(messageDoc.imageUrl);
+    if (fileId) await deleteStoredImage(fileId);
+  }
+
+  await syncInboxIfLatest(appwrite, connectionId, updatedMessage);
+
+  const partnerId =
+    connectionDoc.senderId.$id === currentUserId
+      ? connectionDoc.receiverId.$id
+      : connectionDoc.senderId.$id;
+  publishChatEvent([currentUserId, partnerId], connectionId, "message_updated", {
+    message: updatedMessage,
+  });
 
-  return messages.documents;
+  return updatedMessage;
 };
 
 module.exports = {
+  getAuthorizedChatConnection,
   getActiveChats,
   removeChat,
   getChatState,
   sendMessage,
+  sendImageMessage,
   proposeDate,
   respondToDateProposal,
   getChatMessages,
+  sendTypingIndicator,
+  markMessagesRead,
+  editMessage,
+  deleteMessage,
 };
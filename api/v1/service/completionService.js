@@ -0,0 +1,183 @@
+// api/v1/service/completionService.js
+// Computes the completion_status document that gates who appears in explore.
+// Re-evaluated after every write to a profile section.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const {
+    APPWRITE_COMPLETION_STATUS_COLLECTION_ID,
+    APPWRITE_BIODATA_COLLECTION_ID,
+    APPWRITE_PROMPTS_COLLECTION_ID,
+    APPWRITE_IMAGES_COLLECTION_ID,
+    APPWRITE_LOCATION_COLLECTION_ID,
+    APPWRITE_PREFERENCE_COLLECTION_ID,
+} = require('../appwrite/appwriteConstants');
+const {
+    MIN_PROFILE_PHOTOS,
+    MIN_ANSWERED_PROMPTS,
+    MIN_HOBBIES,
+} = require('../constants/profileLimits');
+const { toImageUrls, toPromptAnswers } = require('./profileCardService');
+
+// Each section: the completion_status flag it sets, a check and the hint shown when it fails
+const SECTIONS = [
+    {
+        key: 'biodata',
+        flag: 'isBiodataCompleted',
+        isComplete: ({ biodata }) =>
+            !!biodata &&
+            Number.isInteger(biodata.age) &&
+            !!biodata.gender &&
+            Array.isArray(biodata.languages) && biodata.languages.length > 0,
+        message: 'Add your age, gender and at least one language.',
+    },
+    {
+        key: 'photos',
+        flag: 'isPhotosCompleted',
+        isComplete: ({ images }) => toImageUrls(images).length >= MIN_PROFILE_PHOTOS,
+        message: `Upload at least ${MIN_PROFILE_PHOTOS} photos.`,
+    },
+    {
+        key: 'prompts',
+        flag: 'isPromptsCompleted',
+        isComplete: ({ prompts }) => toPromptAnswers(prompts).filter(Boolean).length >= MIN_ANSWERED_PROMPTS,
+        message: `Answer at least ${MIN_ANSWERED_PROMPTS} prompts.`,
+    },
+    {
+        key: 'hobbies',
+        flag: 'isHobbiesCompleted',
+        isComplete: ({ biodata }) =>
+            !!biodata && Array.isArray(biodata.hobbies) && biodata.hobbies.length >= MIN_HOBBIES,
+        message: `Pick at least ${MIN_HOBBIES} ${MIN_HOBBIES === 1 ? 'hobby' : 'hobbies'}.`,
+    },
+    {
+        key: 'location',
+        flag: 'isLocationCompleted',
+        isComplete: ({ location }) =>
+            !!location && typeof location.latitude === 'number' && typeof location.longitude === 'number',
+        message: 'Share your location.',
+    },
+    {
+        key: 'preferences',
+        flag: 'isPreferencesCompleted',
+        isComplete: ({ preference }) =>
+            !!preference && Number.isInteger(preference.min_age) && Number.isInteger(preference.max_age),
+        message: 'Set who you would like to meet.',
+    },
+];
+
+/**
+ * Evaluates every profile section of a user.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object>} `{ flags, percentage, isAllCompleted, missing }`.
+ */
+const evaluateCompletion = async (appwrite, userId) => {
+    const profile = {
+        biodata: await appwrite.getDocumentByRelation(APPWRITE_BIODATA_COLLECTION_ID, 'user', userId),
+        images: await appwrite.getDocumentByRelation(APPWRITE_IMAGES_COLLECTION_ID, 'user', userId),
+        prompts: await appwrite.getDocumentByRelation(APPWRITE_PROMPTS_COLLECTION_ID, 'user', userId),
+        location: await appwrite.getDocumentByRelation(APPWRITE_LOCATION_COLLECTION_ID, 'user', userId),
+        preference: await appwrite.getDocumentByRelation(APPWRITE_PREFERENCE_COLLECTION_ID, 'user', userId),
+    };
+
+    const flags = {};
+    const missing = [];
+    for (const section of SECTIONS) {
+        flags[section.flag] = section.isComplete(profile);
+        if (!flags[section.flag]) missing.push({ section: section.key, message: section.message });
+    }
+
+    const completedCount = SECTIONS.length - missing.length;
+    return {
+        flags,
+        percentage: Math.round((completedCount / SECTIONS.length) * 100),
+        isAllCompleted: missing.length === 0,
+        missing,
+    };
+};
+
+/**
+ * Shapes an evaluation into the completion response.
+ * @param {Object} evaluation The result of evaluateCompletion.
+ * @returns {Object} `{ isAllCompleted, percentage, sections, missing }`.
+ */
+const toCompletionResponse = ({ flags, percentage, isAllCompleted, missing }) => {
+    const sections = {};
+    SECTIONS.forEach((section) => {
+        sections[section.key] = flags[section.flag];
+    });
+
+    return { isAllCompleted, percentage, sections, missing };
+};
+
+/**
+ * Writes an evaluation to the user's completion_status document.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userId The ID of the user.
+ * @param {Object} evaluation The result of evaluateCompletion.
+ * @param {boolean} [onlyIfChanged] Skip the write when the stored document already matches.
+ * @returns {Promise<void>}
+ */
+const storeCompletionStatus = async (appwrite, userId, evaluation, onlyIfChanged = false) => {
+    const { flags, percentage, isAllCompleted } = evaluation;
+    const status = { ...flags, completionPercentage: percentage, isAllCompleted };
+
+    const existingDoc = await appwrite.getDocumentByRelation(APPWRITE_COMPLETION_STATUS_COLLECTION_ID, 'user', userId);
+    if (existingDoc) {
+        if (onlyIfChanged && Object.keys(status).every((key) => existingDoc[key] === status[key])) return;
+        await appwrite.updateDocument(APPWRITE_COMPLETION_STATUS_COLLECTION_ID, existingDoc.$id, status);
+    } else {
+        await appwrite.createDocument(APPWRITE_COMPLETION_STATUS_COLLECTION_ID, { user: userId, ...status });
+    }
+};
+
+/**
+ * Evaluates a user's profile completion for the completion endpoint.
+ * Clients can write profile data straight to Appwrite, which skips the recompute after
+ * API writes, so the stored document is updated here when it no longer matches.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object>} `{ isAllCompleted, percentage, sections, missing }`.
+ */
+const getCompletionStatus = async (userId) => {
+    const appwrite = new AppwriteService();
+
+    const evaluation = await evaluateCompletion(appwrite, userId);
+    await storeCompletionStatus(appwrite, userId, evaluation, true);
+
+    return toCompletionResponse(evaluation);
+};
+
+/**
+ * Re-evaluates a user's profile and stores the result in their completion_status document.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object>} `{ isAllCompleted, percentage, sections, missing }`.
+ */
+const recomputeCompletionStatus = async (userId) => {
+    const appwrite = new AppwriteService();
+
+    const evaluation = await evaluateCompletion(appwrite, userId);
+    await storeCompletionStatus(appwrite, userId, evaluation);
+
+    return toCompletionResponse(evaluation);
+};
+
+/**
+ * Recomputes the completion status after a profile write without failing the caller.
+ * The write has already happened, so a failed recompute is only logged.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object|null>} The recomputed status, or null when the recompute failed.
+ */
+const refreshCompletionStatus = async (userId) => {
+    try {
+        return await recomputeCompletionStatus(userId);
+    } catch (error) {
+        console.error(`Failed to recompute completion status for ${userId}:`, error.message);
+        return null;
+    }
+};
+
+module.exports = {
+    getCompletionStatus,
+    recomputeCompletionStatus,
+    refreshCompletionStatus,
+};
@@ -0,0 +1,104 @@
+// api/v1/service/feedSessionService.js
+// Keeps a ranked snapshot of explore candidates per user so feed pages stay stable.
+
+const crypto = require('crypto');
+
+const FEED_SESSION_TTL_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// userId -> { id, entries, appliedFilters, expiresAt }
+const sessions = new Map();
+
+const expiredCursorError = () => {
+    const error = new Error('Feed session expired. Request the feed again without a cursor.');
+    error.code = 410;
+    return error;
+};
+
+/**
+ * Encodes a position in a feed session as an opaque cursor token.
+ * @param {string} sessionId The ID of the feed session.
+ * @param {number} offset The index of the next entry to serve.
+ * @returns {string}
+ */
+const encodeCursor = (sessionId, offset) =>
+    Buffer.from(JSON.stringify({ s: sessionId, o: offset })).toString('base64url');
+
+/**
+ * Decodes a cursor token produced by encodeCursor.
+ * @param {string} cursor The cursor token.
+ * @returns {Object} `{ sessionId, offset }`.
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const { s, o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof s === 'string' && Number.isInteger(o) && o >= 0) {
+            return { sessionId: s, offset: o };
+        }
+    } catch (err) {
+        // Fall through to the error below
+    }
+    const error = new Error('Invalid cursor.');
+    error.code = 400;
+    throw error;
+};
+
+/**
+ * Starts a new feed session for a user, replacing any previous one.
+ * @param {string} userId The ID of the user.
+ * @param {Array<Object>} entries The ranked candidates, best first.
+ * @param {Array<Object>} [appliedFilters] The filters the candidates were selected with.
+ * @returns {Object} The session `{ id, entries, appliedFilters, expiresAt }`.
+ */
+const createFeedSession = (userId, entries, appliedFilters = []) => {
+    const session = {
+        id: crypto.randomUUID(),
+        entries,
+        appliedFilters,
+        expiresAt: Date.now() + FEED_SESSION_TTL_MS,
+    };
+    sessions.set(userId, session);
+    return session;
+};
+
+/**
+ * Resolves a cursor to the user's live feed session. Using a session extends its TTL.
+ * @param {string} userId The ID of the user.
+ * @param {string} cursor The cursor token from the previous page.
+ * @returns {Object} `{ session, offset }`.
+ */
+const getFeedSession = (userId, cursor) => {
+    const { sessionId, offset } = decodeCursor(cursor);
+    const session = sessions.get(userId);
+
+    if (!session || session.id !== sessionId || session.expiresAt <= Date.now()) {
+        throw expiredCursorError();
+    }
+
+    session.expiresAt = Date.now() + FEED_SESSION_TTL_MS;
+    return { session, offset };
+};
+
+/**
+ * Drops a user's feed session, e.g. after their preferences change.
+ * @param {string} userId The ID of the user.
+ */
+const invalidateFeedSession = (userId) => {
+    sessions.delete(userId);
+};
+
+const sweepSessions = () => {
+    const now = Date.now();
+    for (const [userId, session] of sessions) {
+        if (session.expiresAt <= now) sessions.delete(userId);
+    }
+};
+
+setInterval(sweepSessions, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+    encodeCursor,
+    createFeedSession,
+    getFeedSession,
+    invalidateFeedSession,
+};
@@ -0,0 +1,141 @@
+// api/v1/service/imageService.js
+// Validates, sanitises and stores user-uploaded images in the configured storage bucket.
+
+const sharp = require('sharp');
+const { ID } = require('node-appwrite');
+const { InputFile } = require('node-appwrite/file');
+const {
+    storage,
+    STORAGE_BUCKET_ID,
+    APPWRITE_CLOUD_URL,
+    APPWRITE_PROJECT_ID,
+} = require('../appwrite/appwriteConstants');
+const {
+    ALLOWED_IMAGE_FORMATS,
+    MIN_IMAGE_DIMENSION,
+    MAX_IMAGE_DIMENSION,
+    STORED_IMAGE_MAX_SIDE,
+} = require('../constants/imageLimits');
+
+const getStoredFileUrlPrefix = () => `${APPWRITE_CLOUD_URL}/storage/buckets/${STORAGE_BUCKET_ID}/files/`;
+
+/**
+ * Builds the public view URL of a stored file.
+ * @param {string} fileId The ID of the file in the storage bucket.
+ * @returns {string} The view URL.
+ */
+const getStoredFileUrl = (fileId) => `${getStoredFileUrlPrefix()}${fileId}/view?project=${APPWRITE_PROJECT_ID}`;
+
+/**
+ * Extracts the file ID from a URL generated by getStoredFileUrl.
+ * @param {string} url The image URL.
+ * @returns {string|null} The file ID, or null if the URL is not one of ours.
+ */
+const getFileIdFromUrl = (url) => {
+    if (typeof url !== 'string' || !url.startsWith(getStoredFileUrlPrefix())) return null;
+    const fileId = url.slice(getStoredFileUrlPrefix().length).split(/[/?]/)[0];
+    return fileId || null;
+};
+
+/**
+ * Checks an uploaded image and re-encodes it without any metadata.
+ * Re-encoding drops EXIF (including GPS) after applying the EXIF orientation.
+ * @param {Buffer} buffer The raw uploaded bytes.
+ * @returns {Promise<Object>} `{ buffer, width, height }` of the sanitised JPEG.
+ */
+const processImage = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (err) {
+        const error = new Error('Unsupported or corrupt image file.');
+        error.code = 400;
+        throw error;
+    }
+
+    if (!ALLOWED_IMAGE_FORMATS.includes(metadata.format)) {
+        const error = new Error(`Unsupported image format. Must be one of: ${ALLOWED_IMAGE_FORMATS.join(', ')}.`);
+        error.code = 400;
+        throw error;
+    }
+
+    // EXIF orientations 5-8 swap width and height
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    if (
+        width < MIN_IMAGE_DIMENSION || height < MIN_IMAGE_DIMENSION ||
+        width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION
+    ) {
+        const error = new Error(
+            `Image dimensions must be between ${MIN_IMAGE_DIMENSION} and ${MAX_IMAGE_DIMENSION} pixels per side.`
+        );
+        error.code = 400;
+        throw error;
+    }
+
+    try {
+        const { data, info } = await sharp(buffer)
+            .rotate()
+            .resize(STORED_IMAGE_MAX_SIDE, STORED_IMAGE_MAX_SIDE, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 85 })
+            .toBuffer({ resolveWithObject: true });
+
+        return { buffer: data, width: info.width, height: info.height };
+    } catch (err) {
+        const error = new Error('Unsupported or corrupt image file.');
+        error.code = 400;
+        throw error;
+    }
+};
+
+/**
+ * Validates and sanitises an image, then stores it in the storage bucket.
+ * @param {Buffer} buffer The raw uploaded bytes.
+ * @param {string} namePrefix Prefix for the stored file name (e.g. 'chat').
+ * @returns {Promise<Object>} `{ fileId, url, width, height }`.
+ */
+const storeImage = async (buffer, namePrefix) => {
+    if (!STORAGE_BUCKET_ID) {
+        const error = new Error('Image storage is not configured.');
+        error.code = 503;
+        throw error;
+    }
+
+    const processed = await processImage(buffer);
+    const fileId = ID.unique();
+
+    await storage.createFile(
+        STORAGE_BUCKET_ID,
+        fileId,
+        InputFile.fromBuffer(processed.buffer, `${namePrefix}_${fileId}.jpg`)
+    );
+
+    return {
+        fileId,
+        url: getStoredFileUrl(fileId),
+        width: processed.width,
+        height: processed.height,
+    };
+};
+
+/**
+ * Deletes a stored file. Failures are logged, not thrown, since this is cleanup.
+ * @param {string} fileId The ID of the file in the storage bucket.
+ */
+const deleteStoredImage = async (fileId) => {
+    try {
+        await storage.deleteFile(STORAGE_BUCKET_ID, fileId);
+    } catch (err) {
+        console.error(`Failed to delete stored image ${fileId}:`, err.message);
+    }
+};
+
+module.exports = {
+    processImage,
+    storeImage,
+    deleteStoredImage,
+    getStoredFileUrl,
+    getFileIdFromUrl,
+};
@@ -0,0 +1,162 @@
+// api/v1/service/impressionService.js
+// Records which profiles a user was shown ("impressions") in the has-shown collection.
+// Also provides the paged has-shown listing used by the swipe and admirer services.
+//
+// A page of profiles is recorded with one lookup for the pairs that already exist, then
+// creates for the missing ones with bounded parallelism. Writes can also be deferred to a
+// per-user queue so the explore response does not wait for them.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const { APPWRITE_HAS_SHOWN_COLLECTION_ID } = require('../appwrite/appwriteConstants');
+const { PASS_COOLDOWN_DAYS } = require('../constants/swipeLimits');
+const { DAY_MS } = require('../constants/time');
+const { listDocumentsByIds } = require('./profileCardService');
+
+// Has-shown writes in flight at once for a single page
+const IMPRESSION_WRITE_CONCURRENCY = 5;
+const HAS_SHOWN_PAGE_SIZE = 100;
+
+// userId -> promise of that user's last queued write
+const pendingWrites = new Map();
+
+/**
+ * Returns whether a has-shown document is a pass whose cooldown has run out.
+ * @param {Object} doc The has-shown document.
+ * @param {number} [now] Milliseconds since epoch.
+ * @returns {boolean}
+ */
+const isExpiredPass = (doc, now = Date.now()) =>
+    !!doc.is_ignore &&
+    !doc.is_interested &&
+    !!doc.swiped_at &&
+    now - new Date(doc.swiped_at).getTime() >= PASS_COOLDOWN_DAYS * DAY_MS;
+
+/**
+ * Lists every has-shown document matching the queries, page by page.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {Array<string>} queries Filter and order queries.
+ * @returns {Promise<Array<Object>>}
+ */
+const listAllHasShown = async (appwrite, queries) => {
+    const documents = [];
+    let cursor = null;
+
+    while (true) {
+        const pageQueries = [...queries, appwrite.query.limit(HAS_SHOWN_PAGE_SIZE)];
+        if (cursor) pageQueries.push(appwrite.query.cursorAfter(cursor));
+
+        const res = await appwrite.listDocuments(APPWRITE_HAS_SHOWN_COLLECTION_ID, pageQueries);
+        documents.push(...res.documents);
+
+        if (res.documents.length < HAS_SHOWN_PAGE_SIZE) break;
+        cursor = res.documents[res.documents.length - 1].$id;
+    }
+
+    return documents;
+};
+
+/**
+ * Runs an async worker over every item, with at most `limit` workers in flight.
+ * @param {Array} items The items to process.
+ * @param {number} limit The maximum number of concurrent workers.
+ * @param {Function} worker Called with each item; returns a promise.
+ * @returns {Promise<void>}
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            await worker(items[next++]);
+        }
+    });
+    await Promise.all(runners);
+};
+
+/**
+ * Writes has-shown documents for the profiles a user was shown.
+ * Existing pairs are left alone, except passes past their cooldown, which are shown again undecided.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userId The ID of the viewer.
+ * @param {Array<string>} shownUserIds The IDs of the profiles shown.
+ * @returns {Promise<Object>} `{ created, reset }` counts.
+ */
+const writeImpressions = async (appwrite, userId, shownUserIds) => {
+    const uniqueUserIds = [...new Set(shownUserIds)];
+
+    const existingByUserId = new Map();
+    (await listDocumentsByIds(appwrite, APPWRITE_HAS_SHOWN_COLLECTION_ID, 'who', uniqueUserIds, [
+        appwrite.query.equal('user', userId),
+    ])).forEach((doc) => {
+        if (doc.who) existingByUserId.set(doc.who.$id, doc);
+    });
+
+    const now = Date.now();
+    const missingUserIds = uniqueUserIds.filter((id) => !existingByUserId.has(id));
+    const expiredPasses = Array.from(existingByUserId.values()).filter((doc) => isExpiredPass(doc, now));
+
+    await runWithConcurrency(missingUserIds, IMPRESSION_WRITE_CONCURRENCY, (who) =>
+        appwrite.createDocument(APPWRITE_HAS_SHOWN_COLLECTION_ID, {
+            user: userId,
+            who,
+            is_ignore: false,
+            is_interested: false,
+        })
+    );
+    // A pass past its cooldown is shown again, undecided
+    await runWithConcurrency(expiredPasses, IMPRESSION_WRITE_CONCURRENCY, (doc) =>
+        appwrite.updateDocument(APPWRITE_HAS_SHOWN_COLLECTION_ID, doc.$id, {
+            is_ignore: false,
+            swiped_at: null,
+        })
+    );
+
+    return { created: missingUserIds.length, reset: expiredPasses.length };
+};
+
+/**
+ * Records that a user was shown a set of profiles.
+ * With `defer` the write is queued behind the user's earlier impression writes and the call
+ * returns immediately; failures are logged instead of thrown. Use flushImpressions before
+ * reading has-shown for that user.
+ * @param {string} userId The ID of the viewer.
+ * @param {Array<string>} shownUserIds The IDs of the profiles shown.
+ * @param {Object} [options]
+ * @param {boolean} [options.defer] Queue the write instead of waiting for it.
+ * @param {AppwriteService} [options.appwrite] The Appwrite service instance to reuse.
+ * @returns {Promise<Object|null>} `{ created, reset }`, or null when deferred.
+ */
+const recordImpressions = async (userId, shownUserIds, { defer = false, appwrite = new AppwriteService() } = {}) => {
+    if (!shownUserIds.length) return defer ? null : { created: 0, reset: 0 };
+
+    if (!defer) {
+        await flushImpressions(userId);
+        return writeImpressions(appwrite, userId, shownUserIds);
+    }
+
+    const write = (pendingWrites.get(userId) || Promise.resolve())
+        .then(() => writeImpressions(appwrite, userId, shownUserIds))
+        .catch((err) => {
+            console.error(`Failed to record impressions for user ${userId}:`, err);
+        })
+        .finally(() => {
+            if (pendingWrites.get(userId) === write) pendingWrites.delete(userId);
+        });
+    pendingWrites.set(userId, write);
+    return null;
+};
+
+/**
+ * Waits until every deferred impression write of a user has finished.
+ * @param {string} userId The ID of the viewer.
+ * @returns {Promise<void>}
+ */
+const flushImpressions = async (userId) => {
+    await pendingWrites.get(userId);
+};
+
+module.exports = {
+    isExpiredPass,
+    listAllHasShown,
+    recordImpressions,
+    flushImpressions,
+};
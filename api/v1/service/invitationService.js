@@ -1,19 +1,24 @@
 // api/v1/service/invitationService.js
 
 const { AppwriteService } = require('../appwrite/appwriteService');
-const { ID } = require('node-appwrite');
 const {
     APPWRITE_USERS_COLLECTION_ID,
     APPWRITE_CONNECTIONS_COLLECTION_ID,
     APPWRITE_HAS_SHOWN_COLLECTION_ID,
-    messaging,
-    FCM_PROVIDER_ID,
 } = require('../appwrite/appwriteConstants');
 const { MAX_ACTIVE_SENT_INVITATIONS, MAX_ACTIVE_RECEIVED_INVITATIONS } = require('../constants/invitationLimits');
+const { isBlockedBetween } = require('./blockService');
+const { sendPushToUser } = require('./pushService');
 
 const sendInvitation = async (senderUserId, receiverUserId) => {
     const appwrite = new AppwriteService();
 
+    if (await isBlockedBetween(senderUserId, receiverUserId)) {
+        const error = new Error('You cannot send an invitation to this user');
+        error.code = 403;
+        throw error;
+    }
+
     // Fetch Sender's Document
     const sender = await appwrite.getDocumentByRelation(APPWRITE_USERS_COLLECTION_ID, '$id', senderUserId);
     if (!sender) throw new Error('Sender not found');
@@ -57,41 +62,17 @@ const sendInvitation = async (senderUserId, receiverUserId) => {
         });
 
         // --- PUSH NOTIFICATION TRIGGER START: Invitation Received ---
-        try {
-            const senderUserDoc = await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, senderUserId);
-            const senderName = senderUserDoc?.name || 'Someone';
-
-            await messaging.createPush(
-                ID.unique(),                          // messageId (valid format)
-                'You got an invitation',                    // title (string, 1–256 chars)
-                `${senderName} is excited to connect with you💕`, // body
-                ['global_notifications'],            // topics
-                [],                                    // users (none in this case)
-                [],                                    // targets (none in this case)
-                {                                      // data payload
-                    type: 'new_invitation',
-                    senderId: senderUserId,
-                    senderName: senderName,
-                    receiverId: receiverUserId
-                },
-                undefined, // action
-                undefined, // image
-                undefined, // icon
-                undefined, // sound
-                undefined, // color
-                undefined, // tag
-                undefined, // badge
-                false,     // draft
-                undefined, // scheduledAt
-                false,     // contentAvailable
-                false,     // critical
-                'normal'   // priority
-            );
-
-            console.log(`Push notification sent to global_notifications for new invitation.`);
-        } catch (pushError) {
-            console.error(`Failed to send push notification to global_notifications for invitation:`, pushError.message);
-        }
+        const senderName = sender.name || 'Someone';
+        await sendPushToUser(receiverUserId, {
+            title: 'You got an invitation',
+            body: `${senderName} is excited to connect with you💕`,
+            data: {
+                type: 'new_invitation',
+                senderId: senderUserId,
+                senderName: senderName,
+                receiverId: receiverUserId
+            },
+        });
         // --- PUSH NOTIFICATION TRIGGER END ---
     }
 
@@ -0,0 +1,164 @@
+// api/v1/service/locationService.js
+// Writes user locations and finds nearby ones through the geohash index.
+//
+// Every location document carries a `geohash` string attribute (precision 9, with a key index)
+// that is kept in sync with latitude/longitude here. Documents written before the index
+// existed are backfilled by migrations/002_add_location_geohash.js. Clients that still write
+// location documents directly leave `geohash` empty; getNearbyLocations falls back to a
+// latitude/longitude bounding box for those.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const { APPWRITE_LOCATION_COLLECTION_ID } = require('../appwrite/appwriteConstants');
+const { encode, cellsCoveringRadius } = require('../utils/geohash');
+const haversine = require('../utils/haversine');
+const { refreshCompletionStatus } = require('./completionService');
+
+const LOCATION_PAGE_SIZE = 100;
+// Length of one degree of latitude; one degree of longitude is this times cos(latitude)
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Validates a latitude/longitude pair.
+ * @param {*} latitude The latitude from the request.
+ * @param {*} longitude The longitude from the request.
+ * @returns {Object} `{ latitude, longitude }` as numbers.
+ */
+const parseCoordinates = (latitude, longitude) => {
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+    if (
+        latitude === null || latitude === undefined || latitude === '' ||
+        longitude === null || longitude === undefined || longitude === '' ||
+        !Number.isFinite(lat) || !Number.isFinite(lon) ||
+        lat < -90 || lat > 90 || lon < -180 || lon > 180
+    ) {
+        const error = new Error('latitude must be between -90 and 90 and longitude between -180 and 180.');
+        error.code = 400;
+        throw error;
+    }
+    return { latitude: lat, longitude: lon };
+};
+
+/**
+ * Builds the location attributes to store, including the geohash index value.
+ * @param {number} latitude The latitude.
+ * @param {number} longitude The longitude.
+ * @returns {Object} `{ latitude, longitude, geohash }`.
+ */
+const toLocationFields = (latitude, longitude) => ({
+    latitude,
+    longitude,
+    geohash: encode(latitude, longitude),
+});
+
+/**
+ * Creates or updates the current user's location, keeping its geohash in sync,
+ * and refreshes their completion status.
+ * @param {string} userId The ID of the user.
+ * @param {Object} coordinates `{ latitude, longitude }`.
+ * @returns {Promise<Object>} `{ latitude, longitude, geohash }`.
+ */
+const updateLocation = async (userId, { latitude, longitude }) => {
+    const appwrite = new AppwriteService();
+    const coordinates = parseCoordinates(latitude, longitude);
+    const fields = toLocationFields(coordinates.latitude, coordinates.longitude);
+
+    const locationDoc = await appwrite.getDocumentByRelation(APPWRITE_LOCATION_COLLECTION_ID, 'user', userId);
+    if (locationDoc) {
+        await appwrite.updateDocument(APPWRITE_LOCATION_COLLECTION_ID, locationDoc.$id, fields);
+    } else {
+        await appwrite.createDocument(APPWRITE_LOCATION_COLLECTION_ID, { user: userId, ...fields });
+    }
+
+    await refreshCompletionStatus(userId);
+
+    return fields;
+};
+
+/**
+ * Builds latitude/longitude range queries for a box around a circle.
+ * The longitude range is left out near the poles and where the box crosses the antimeridian.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {number} latitude The latitude of the centre.
+ * @param {number} longitude The longitude of the centre.
+ * @param {number} radiusKm The radius in kilometres.
+ * @returns {Array<string>} The queries.
+ */
+const boundingBoxQueries = (appwrite, latitude, longitude, radiusKm) => {
+    const latDelta = radiusKm / KM_PER_DEGREE;
+    const queries = [
+        appwrite.query.greaterThanEqual('latitude', Math.max(-90, latitude - latDelta)),
+        appwrite.query.lessThanEqual('latitude', Math.min(90, latitude + latDelta)),
+    ];
+
+    const cosLat = Math.cos((latitude * Math.PI) / 180);
+    const lonDelta = cosLat > 0.01 ? radiusKm / (KM_PER_DEGREE * cosLat) : 360;
+    if (longitude - lonDelta >= -180 && longitude + lonDelta <= 180) {
+        queries.push(
+            appwrite.query.greaterThanEqual('longitude', longitude - lonDelta),
+            appwrite.query.lessThanEqual('longitude', longitude + lonDelta)
+        );
+    }
+    return queries;
+};
+
+/**
+ * Finds the other users within a radius of a point.
+ * Only location documents in the geohash cells overlapping the radius are loaded;
+ * exact distances are then checked with haversine. Without a radius every location is loaded.
+ * Documents without a geohash (written straight to Appwrite rather than through updateLocation)
+ * are found with a latitude/longitude bounding box instead.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userId The ID of the current user, excluded from the results.
+ * @param {number} latitude The latitude of the centre.
+ * @param {number} longitude The longitude of the centre.
+ * @param {number|null} maxDistanceKm The radius in kilometres, or null for no limit.
+ * @returns {Promise<Map<string, Object>>} `{ location, distance }` keyed by user ID, distance in km.
+ */
+const getNearbyLocations = async (appwrite, userId, latitude, longitude, maxDistanceKm) => {
+    const filterSets = [[appwrite.query.notEqual('user', userId)]];
+
+    if (maxDistanceKm) {
+        const cells = cellsCoveringRadius(latitude, longitude, maxDistanceKm);
+        if (cells.length) {
+            filterSets[0].push(cells.length === 1
+                ? appwrite.query.startsWith('geohash', cells[0])
+                : appwrite.query.or(cells.map((cell) => appwrite.query.startsWith('geohash', cell))));
+            filterSets.push([
+                appwrite.query.notEqual('user', userId),
+                appwrite.query.isNull('geohash'),
+                ...boundingBoxQueries(appwrite, latitude, longitude, maxDistanceKm),
+            ]);
+        }
+    }
+
+    const nearbyByUserId = new Map();
+    for (const filters of filterSets) {
+        let cursor = null;
+        while (true) {
+            const queries = [...filters, appwrite.query.orderAsc('$id'), appwrite.query.limit(LOCATION_PAGE_SIZE)];
+            if (cursor) queries.push(appwrite.query.cursorAfter(cursor));
+
+            const res = await appwrite.listDocuments(APPWRITE_LOCATION_COLLECTION_ID, queries);
+            for (const loc of res.documents) {
+                if (!loc.user) continue;
+
+                const distance = haversine(latitude, longitude, loc.latitude, loc.longitude);
+                if (!maxDistanceKm || distance <= maxDistanceKm) {
+                    nearbyByUserId.set(loc.user.$id, { location: loc, distance });
+                }
+            }
+
+            if (res.documents.length < LOCATION_PAGE_SIZE) break;
+            cursor = res.documents[res.documents.length - 1].$id;
+        }
+    }
+
+    return nearbyByUserId;
+};
+
+module.exports = {
+    toLocationFields,
+    updateLocation,
+    getNearbyLocations,
+};
@@ -4,10 +4,12 @@ const { AppwriteService } = require('../appwrite/appwriteService');
 const {
     APPWRITE_USERS_COLLECTION_ID,
     APPWRITE_CONNECTIONS_COLLECTION_ID,
-    APPWRITE_IMAGES_COLLECTION_ID,
     APPWRITE_HAS_SHOWN_COLLECTION_ID,
 } = require('../appwrite/appwriteConstants');
 const { MAX_ACTIVE_RECEIVED_INVITATIONS, MAX_ACTIVE_CHATS } = require('../constants/invitationLimits');
+const { notifyUser } = require('./notificationService');
+const { buildProfileCards, LIST_CARD_FIELDS } = require('./profileCardService');
+const { sendPushToUser } = require('./pushService');
 
 /**
  * Fetches active incoming invitations for a given user.
@@ -30,37 +32,20 @@ const getActiveReceivedInvitations = async (receiverUserId) => {
     const connections = connectionsRes.documents;
     if (!connections.length) return [];
 
-    const results = [];
-
-    for (const conn of connections) {
-        const senderId = conn.senderId.$id;
-
-        let senderUser = null;
-        try {
-            senderUser = await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, senderId);
-        } catch (err) {
-            console.warn(`No user document found for senderId ${senderId}: ${err.message}`);
-        }
-
-        let primaryImage = null;
-        try {
-            const imageRes = await appwrite.listDocuments(
-                APPWRITE_IMAGES_COLLECTION_ID,
-                [appwrite.query.equal('user', senderId)]
-            );
-            primaryImage = imageRes.documents[0]?.image_1 || null;
-        } catch (err) {
-            console.warn(`No images found for senderId ${senderId}: ${err.message}`);
-        }
+    // Names and primary photos of every sender in one pass
+    const cards = await buildProfileCards(
+        connections.map((conn) => conn.senderId.$id),
+        LIST_CARD_FIELDS,
+        appwrite
+    );
 
-        results.push({
-            connectionId: conn.$id,
-            senderId: senderId,
-            name: senderUser?.name || 'Unknown',
-            primaryImage: primaryImage,
-            status: conn.status,
-        });
-    }
+    const results = connections.map((conn, i) => ({
+        connectionId: conn.$id,
+        senderId: cards[i].userId,
+        name: cards[i].name || 'Unknown',
+        primaryImage: cards[i].primaryImage,
+        status: conn.status,
+    }));
 
     return results;
 };
@@ -161,6 +146,8 @@ const declineInvitation = async (receiverUserId, connectionId) => {
         );
     }
 
+    await notifyUser(senderUserId, receiverUserId, 'invite_declined', 'Your invitation was declined.');
+
     return { success: true };
 };
 
@@ -293,7 +280,17 @@ const acceptInvitation = async (receiverUserId, connectionId) => {
         );
     }
 
-    //TODO: Trigger Push Notifications
+    await notifyUser(senderUserId, receiverUserId, 'invite_accepted', 'Your invitation was accepted. Say hi!');
+
+    await sendPushToUser(senderUserId, {
+        title: "It's a match!",
+        body: `${receiverUserDoc.name || 'Someone'} accepted your invitation. Say hi!`,
+        data: {
+            type: 'invitation_accepted',
+            connectionId: connectionId,
+            receiverId: receiverUserId,
+        },
+    });
 
     return { success: true, newChat: true };
 };
@@ -4,9 +4,10 @@ const { AppwriteService } = require('../appwrite/appwriteService');
 const {
     APPWRITE_USERS_COLLECTION_ID,
     APPWRITE_CONNECTIONS_COLLECTION_ID,
-    APPWRITE_IMAGES_COLLECTION_ID,
     APPWRITE_HAS_SHOWN_COLLECTION_ID,
 } = require('../appwrite/appwriteConstants');
+const { notifyUser } = require('./notificationService');
+const { buildProfileCards, LIST_CARD_FIELDS } = require('./profileCardService');
 
 const getActiveSentInvitations = async (userId) => {
     const appwrite = new AppwriteService();
@@ -23,40 +24,20 @@ const getActiveSentInvitations = async (userId) => {
     const connections = connectionsRes.documents;
     if (!connections.length) return [];
 
-    const results = [];
-
-    // Loop over each connection to fetch receiver's name and a primary image
-    for (const conn of connections) {
-        const receiverId = conn.receiverId.$id;
-
-        // Fetch receiver's user document to get their name
-        let receiverUser = null;
-        try {
-            receiverUser = await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, receiverId);
-        } catch (err) {
-            console.warn(`No user document found for receiverId ${receiverId}: ${err.message}`);
-        }
-
-        // Fetch a primary image for this receiver, image_1 is primary
-        let primaryImage = null;
-        try {
-            const imageRes = await appwrite.listDocuments(
-                APPWRITE_IMAGES_COLLECTION_ID,
-                [appwrite.query.equal('user', receiverId)]
-            );
-            primaryImage = imageRes.documents[0]?.image_1 || null;
-        } catch (err) {
-            console.warn(`No images found for receiverId ${receiverId}: ${err.message}`);
-        }
-
-        results.push({
-            connectionId: conn.$id,
-            receiverId: receiverId,
-            name: receiverUser?.name || 'Unknown',
-            primaryImage: primaryImage,
-            status: conn.status,
-        });
-    }
+    // Names and primary photos of every receiver in one pass
+    const cards = await buildProfileCards(
+        connections.map((conn) => conn.receiverId.$id),
+        LIST_CARD_FIELDS,
+        appwrite
+    );
+
+    const results = connections.map((conn, i) => ({
+        connectionId: conn.$id,
+        receiverId: cards[i].userId,
+        name: cards[i].name || 'Unknown',
+        primaryImage: cards[i].primaryImage,
+        status: conn.status,
+    }));
 
     return results;
 };
@@ -135,6 +116,8 @@ const removeSentInvitation = async (senderUserId, connectionId) => {
         );
     }
 
+    await notifyUser(receiverUserId, senderUserId, 'invite_cancelled', 'An invitation to you was cancelled.');
+
     return { success: true };
 };
 
@@ -0,0 +1,161 @@
+// api/v1/service/matchService.js
+// Turns mutual likes from explore into connections without an invitation round-trip.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const {
+    APPWRITE_USERS_COLLECTION_ID,
+    APPWRITE_CONNECTIONS_COLLECTION_ID,
+    APPWRITE_HAS_SHOWN_COLLECTION_ID,
+} = require('../appwrite/appwriteConstants');
+const { MAX_ACTIVE_CHATS } = require('../constants/invitationLimits');
+const { notifyUser } = require('./notificationService');
+const { sendPushToUser } = require('./pushService');
+
+const OPEN_CONNECTION_STATUSES = ['pending', 'chat_active'];
+// A pair whose connection ended like this is never matched again automatically
+const ENDED_CONNECTION_STATUSES = [
+    'declined',
+    'chat_removed_by_sender',
+    'chat_removed_by_receiver',
+    'blocked_by_sender',
+    'blocked_by_receiver',
+];
+
+/**
+ * Finds a connection with one of the given statuses between two users, in either direction.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userA The ID of one user.
+ * @param {string} userB The ID of the other user.
+ * @param {Array<string>} statuses The connection statuses to look for.
+ * @returns {Promise<Object|null>} The connection document, or null.
+ */
+const getConnectionBetween = async (appwrite, userA, userB, statuses) => {
+    const res = await appwrite.listDocuments(APPWRITE_CONNECTIONS_COLLECTION_ID, [
+        appwrite.query.equal('senderId', [userA, userB]),
+        appwrite.query.equal('receiverId', [userA, userB]),
+        appwrite.query.equal('status', statuses),
+        appwrite.query.limit(2),
+    ]);
+    return res.documents.find((doc) =>
+        doc.senderId && doc.receiverId && doc.senderId.$id !== doc.receiverId.$id
+    ) || null;
+};
+
+/**
+ * Finds a pending or active connection between two users, in either direction.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userA The ID of one user.
+ * @param {string} userB The ID of the other user.
+ * @returns {Promise<Object|null>} The connection document, or null.
+ */
+const getOpenConnectionBetween = (appwrite, userA, userB) =>
+    getConnectionBetween(appwrite, userA, userB, OPEN_CONNECTION_STATUSES);
+
+/**
+ * Tells both users about a new match, in-app and by push.
+ * @param {Object} userA The users document of one side.
+ * @param {Object} userB The users document of the other side.
+ * @param {string} connectionId The ID of the new connection.
+ * @param {string} status The status of the new connection.
+ */
+const notifyMatch = async (userA, userB, connectionId, status) => {
+    for (const [to, from] of [[userA, userB], [userB, userA]]) {
+        const fromName = from.name || 'Someone';
+        const body = status === 'chat_active'
+            ? `You and ${fromName} liked each other. Say hi!`
+            : `You and ${fromName} liked each other. Free up a chat to start talking.`;
+
+        await notifyUser(to.$id, from.$id, 'match', body);
+        await sendPushToUser(to.$id, {
+            title: "It's a match!",
+            body,
+            data: {
+                type: 'match',
+                connectionId,
+                status,
+                matchedUserId: from.$id,
+            },
+        });
+    }
+};
+
+/**
+ * Creates a connection when two users have liked each other.
+ * The connection starts as chat_active when both users are under MAX_ACTIVE_CHATS.
+ * Otherwise it falls back to a pending invitation received by the user at the limit,
+ * who can accept it once they free up a chat.
+ * Only swipe likes count (has-shown rows with `swiped_at`); invitations also set `is_interested`.
+ * Pairs that already declined, removed or blocked a connection are not matched again.
+ * @param {string} userId The ID of the user who just liked.
+ * @param {string} likedUserId The ID of the user they liked.
+ * @returns {Promise<Object|null>} `{ connectionId, status }`, or null when the like is not mutual.
+ */
+const matchIfMutual = async (userId, likedUserId) => {
+    const appwrite = new AppwriteService();
+
+    const reverseRes = await appwrite.listDocuments(APPWRITE_HAS_SHOWN_COLLECTION_ID, [
+        appwrite.query.equal('user', likedUserId),
+        appwrite.query.equal('who', userId),
+        appwrite.query.equal('is_interested', true),
+        appwrite.query.isNotNull('swiped_at'),
+        appwrite.query.limit(1),
+    ]);
+    if (!reverseRes.documents.length) return null;
+
+    // Already connected, e.g. through an invitation, or a connection between them already ended
+    if (await getConnectionBetween(appwrite, userId, likedUserId, [
+        ...OPEN_CONNECTION_STATUSES,
+        ...ENDED_CONNECTION_STATUSES,
+    ])) {
+        return null;
+    }
+
+    const user = await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, userId);
+    const likedUser = await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, likedUserId);
+
+    const userAtLimit = (user.activeChatCount || 0) >= MAX_ACTIVE_CHATS;
+    const likedUserAtLimit = (likedUser.activeChatCount || 0) >= MAX_ACTIVE_CHATS;
+
+    if (!userAtLimit && !likedUserAtLimit) {
+        const connection = await appwrite.createDocument(APPWRITE_CONNECTIONS_COLLECTION_ID, {
+            senderId: likedUserId,
+            receiverId: userId,
+            status: 'chat_active',
+            messageCount: 0,
+            dateProposalStatus: 'none',
+        });
+
+        await appwrite.updateDocument(APPWRITE_USERS_COLLECTION_ID, userId, {
+            activeChatCount: (user.activeChatCount || 0) + 1,
+        });
+        await appwrite.updateDocument(APPWRITE_USERS_COLLECTION_ID, likedUserId, {
+            activeChatCount: (likedUser.activeChatCount || 0) + 1,
+        });
+
+        await notifyMatch(user, likedUser, connection.$id, 'chat_active');
+        return { connectionId: connection.$id, status: 'chat_active' };
+    }
+
+    // The user at the limit receives the invitation, so accepting it re-checks their limit
+    const [sender, receiver] = userAtLimit ? [likedUser, user] : [user, likedUser];
+    const connection = await appwrite.createDocument(APPWRITE_CONNECTIONS_COLLECTION_ID, {
+        senderId: sender.$id,
+        receiverId: receiver.$id,
+        status: 'pending',
+    });
+
+    await appwrite.updateDocument(APPWRITE_USERS_COLLECTION_ID, sender.$id, {
+        activeSentInvitationCount: (sender.activeSentInvitationCount || 0) + 1,
+    });
+    await appwrite.updateDocument(APPWRITE_USERS_COLLECTION_ID, receiver.$id, {
+        activeReceivedInvitationCount: (receiver.activeReceivedInvitationCount || 0) + 1,
+    });
+
+    await notifyMatch(user, likedUser, connection.$id, 'pending');
+    return { connectionId: connection.$id, status: 'pending' };
+};
+
+module.exports = {
+    getOpenConnectionBetween,
+    matchIfMutual,
+};
@@ -1,6 +1,8 @@
 const { APPWRITE_NOTIFICATIONS_COLLECTION_ID } = require("../appwrite/appwriteConstants");
 const { AppwriteService } = require("../appwrite/appwriteService");
 
+const NOTIFICATIONS_PAGE_SIZE = 25;
+
 const createNotification = async (receiverUserId,senderUserId, type, payload) => {
   const appwrite = new AppwriteService();
   try {
@@ -16,4 +18,125 @@ const createNotification = async (receiverUserId,senderUserId, type, payload) =>
     throw new Error("Failed to send invitation notification");
   }
 };
-module.exports = {createNotification}
\ No newline at end of file
+
+/**
+ * Writes a notification for a lifecycle event without failing the caller.
+ * The action that triggered it has already happened, so a failed write is only logged.
+ * @param {string} receiverUserId The ID of the user to notify.
+ * @param {string} senderUserId The ID of the user who triggered the event.
+ * @param {string} type The notification type (e.g. 'invite_accepted').
+ * @param {string} payload Human-readable notification text.
+ */
+const notifyUser = async (receiverUserId, senderUserId, type, payload) => {
+  try {
+    await createNotification(receiverUserId, senderUserId, type, payload);
+  } catch (error) {
+    console.error(`Failed to create '${type}' notification for ${receiverUserId}:`, error.message);
+  }
+};
+
+/**
+ * Lists a user's notifications, newest first, with cursor pagination.
+ * @param {string} userId The ID of the user.
+ * @param {Object} options `{ cursor, type, limit }`; type may be a comma-separated list.
+ * @returns {Promise<Object>} `{ notifications, nextCursor }`.
+ */
+const getNotifications = async (userId, options = {}) => {
+  const appwrite = new AppwriteService();
+  const limit = Math.min(Math.max(parseInt(options.limit) || NOTIFICATIONS_PAGE_SIZE, 1), 100);
+
+  const queries = [
+    appwrite.query.equal("to", userId),
+    appwrite.query.orderDesc("$createdAt"),
+    appwrite.query.limit(limit),
+  ];
+  if (options.type) {
+    const types = String(options.type).split(",").map((t) => t.trim()).filter(Boolean);
+    if (types.length) queries.push(appwrite.query.equal("type", types));
+  }
+  if (options.cursor) queries.push(appwrite.query.cursorAfter(options.cursor));
+
+  const notificationsRes = await appwrite.listDocuments(APPWRITE_NOTIFICATIONS_COLLECTION_ID, queries);
+  const notifications = notificationsRes.documents;
+
+  return {
+    notifications,
+    nextCursor: notifications.length === limit ? notifications[notifications.length - 1].$id : null,
+  };
+};
+
+/**
+ * Marks a single notification as read. Only the recipient may do this.
+ * @param {string} userId The ID of the user.
+ * @param {string} notificationId The ID of the notification document.
+ * @returns {Promise<Object>} The updated notification document.
+ */
+const markNotificationRead = async (userId, notificationId) => {
+  const appwrite = new AppwriteService();
+
+  const notificationDoc = await appwrite.getDocument(APPWRITE_NOTIFICATIONS_COLLECTION_ID, notificationId);
+  const recipientId = notificationDoc.to?.$id || notificationDoc.to;
+  if (recipientId !== userId) {
+    const error = new Error("Unauthorized notification access");
+    error.code = 403;
+    throw error;
+  }
+
+  if (notificationDoc.is_read) return notificationDoc;
+
+  return await appwrite.updateDocument(APPWRITE_NOTIFICATIONS_COLLECTION_ID, notificationId, { is_read: true });
+};
+
+/**
+ * Marks every unread notification of a user as read.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object>} `{ success, updated }` with the number of notifications updated.
+ */
+const markAllNotificationsRead = async (userId) => {
+  const appwrite = new AppwriteService();
+  let updated = 0;
+
+  // Each pass re-queries unread notifications, so the ones just updated drop out
+  while (true) {
+    const unreadRes = await appwrite.listDocuments(APPWRITE_NOTIFICATIONS_COLLECTION_ID, [
+      appwrite.query.equal("to", userId),
+      appwrite.query.equal("is_read", false),
+      appwrite.query.limit(100),
+    ]);
+
+    for (const doc of unreadRes.documents) {
+      await appwrite.updateDocument(APPWRITE_NOTIFICATIONS_COLLECTION_ID, doc.$id, { is_read: true });
+      updated++;
+    }
+
+    if (unreadRes.documents.length < 100) break;
+  }
+
+  return { success: true, updated };
+};
+
+/**
+ * Counts a user's unread notifications.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<number>} The unread count.
+ */
+const getUnreadNotificationCount = async (userId) => {
+  const appwrite = new AppwriteService();
+
+  const unreadRes = await appwrite.listDocuments(APPWRITE_NOTIFICATIONS_COLLECTION_ID, [
+    appwrite.query.equal("to", userId),
+    appwrite.query.equal("is_read", false),
+    appwrite.query.limit(1),
+  ]);
+
+  return unreadRes.total;
+};
+
+module.exports = {
+  createNotification,
+  notifyUser,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getUnreadNotificationCount,
+}
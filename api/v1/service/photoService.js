@@ -0,0 +1,250 @@
+// api/v1/service/photoService.js
+// Manages the profile photo slots (image_1 ... image_6) of the images collection.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const { APPWRITE_IMAGES_COLLECTION_ID } = require('../appwrite/appwriteConstants');
+const { PROFILE_PHOTO_SLOTS } = require('../constants/imageLimits');
+const { storeImage, deleteStoredImage, getFileIdFromUrl } = require('./imageService');
+const { refreshCompletionStatus } = require('./completionService');
+
+/**
+ * Reads the photo slots of an images document into an array of length PROFILE_PHOTO_SLOTS.
+ * @param {Object|null} imagesDoc The user's images document.
+ * @returns {Array<string|null>} Slot URLs; index 0 is image_1.
+ */
+const toSlots = (imagesDoc) => {
+    const slots = [];
+    for (let i = 1; i <= PROFILE_PHOTO_SLOTS; i++) {
+        slots.push((imagesDoc && imagesDoc[`image_${i}`]) || null);
+    }
+    return slots;
+};
+
+/**
+ * Turns a slots array back into image_N attributes for a single atomic update.
+ * @param {Array<string|null>} slots Slot URLs; index 0 is image_1.
+ * @returns {Object} `{ image_1, ..., image_6 }`.
+ */
+const toImageFields = (slots) => {
+    const fields = {};
+    for (let i = 1; i <= PROFILE_PHOTO_SLOTS; i++) {
+        fields[`image_${i}`] = slots[i - 1] || null;
+    }
+    return fields;
+};
+
+/**
+ * Moves filled slots to the front, keeping their order, so image_1 is always the primary photo.
+ * @param {Array<string|null>} slots Slot URLs.
+ * @returns {Array<string|null>} Compacted slots.
+ */
+const compactSlots = (slots) => {
+    const filled = slots.filter(Boolean);
+    while (filled.length < PROFILE_PHOTO_SLOTS) filled.push(null);
+    return filled;
+};
+
+/**
+ * Validates a 1-based slot number.
+ * @param {*} slot The slot value from the request.
+ * @returns {number} The slot as an integer.
+ */
+const parseSlot = (slot) => {
+    const parsed = Number(slot);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > PROFILE_PHOTO_SLOTS) {
+        const error = new Error(`Invalid slot. Must be between 1 and ${PROFILE_PHOTO_SLOTS}.`);
+        error.code = 400;
+        throw error;
+    }
+    return parsed;
+};
+
+/**
+ * Writes all slots in one update, then removes storage files no longer referenced
+ * and refreshes the user's completion status.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userId The ID of the user.
+ * @param {Object} imagesDoc The user's images document.
+ * @param {Array<string|null>} newSlots The slots to store.
+ * @returns {Promise<Array<string|null>>} The stored slots.
+ */
+const saveSlots = async (appwrite, userId, imagesDoc, newSlots) => {
+    const previousSlots = toSlots(imagesDoc);
+    const updatedDoc = await appwrite.updateDocument(
+        APPWRITE_IMAGES_COLLECTION_ID,
+        imagesDoc.$id,
+        toImageFields(newSlots)
+    );
+
+    // Only delete files after the document no longer points at them
+    for (const url of previousSlots) {
+        if (!url || newSlots.includes(url)) continue;
+        const fileId = getFileIdFromUrl(url);
+        if (fileId) await deleteStoredImage(fileId);
+    }
+
+    await refreshCompletionStatus(userId);
+
+    return toSlots(updatedDoc);
+};
+
+/**
+ * Loads the user's images document, failing with 404 when the user has none.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object>} The images document.
+ */
+const getImagesDocOrThrow = async (appwrite, userId) => {
+    const imagesDoc = await appwrite.getDocumentByRelation(APPWRITE_IMAGES_COLLECTION_ID, 'user', userId);
+    if (!imagesDoc) {
+        const error = new Error('No photos found for this user.');
+        error.code = 404;
+        throw error;
+    }
+    return imagesDoc;
+};
+
+/**
+ * Returns the user's photo slots.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object>} `{ photos }` where photos[0] is the primary photo.
+ */
+const getPhotos = async (userId) => {
+    const appwrite = new AppwriteService();
+    const imagesDoc = await appwrite.getDocumentByRelation(APPWRITE_IMAGES_COLLECTION_ID, 'user', userId);
+    return { photos: toSlots(imagesDoc) };
+};
+
+/**
+ * Uploads a photo into a slot. Without a slot it goes into the first empty one.
+ * Replacing a slot removes the old file from storage.
+ * @param {string} userId The ID of the user.
+ * @param {Buffer} imageBuffer The raw uploaded image bytes.
+ * @param {number|string} [slot] The 1-based slot to fill.
+ * @returns {Promise<Object>} `{ photos, slot }`.
+ */
+const uploadPhoto = async (userId, imageBuffer, slot) => {
+    const appwrite = new AppwriteService();
+
+    let imagesDoc = await appwrite.getDocumentByRelation(APPWRITE_IMAGES_COLLECTION_ID, 'user', userId);
+    const slots = toSlots(imagesDoc);
+
+    let targetIndex;
+    if (slot !== undefined && slot !== null && slot !== '') {
+        targetIndex = parseSlot(slot) - 1;
+        // Filling a slot past the first empty one would leave a gap
+        const firstEmptyIndex = slots.indexOf(null);
+        if (!slots[targetIndex] && firstEmptyIndex !== -1 && targetIndex > firstEmptyIndex) {
+            targetIndex = firstEmptyIndex;
+        }
+    } else {
+        targetIndex = slots.indexOf(null);
+        if (targetIndex === -1) {
+            const error = new Error(`All ${PROFILE_PHOTO_SLOTS} photo slots are in use. Delete or replace a photo first.`);
+            error.code = 409;
+            throw error;
+        }
+    }
+
+    const storedImage = await storeImage(imageBuffer, 'profile');
+
+    try {
+        if (!imagesDoc) {
+            imagesDoc = await appwrite.createDocument(APPWRITE_IMAGES_COLLECTION_ID, {
+                user: userId,
+                ...toImageFields([]),
+            });
+        }
+
+        const newSlots = [...slots];
+        newSlots[targetIndex] = storedImage.url;
+        const photos = await saveSlots(appwrite, userId, imagesDoc, newSlots);
+        return { photos, slot: targetIndex + 1 };
+    } catch (err) {
+        await deleteStoredImage(storedImage.fileId);
+        throw err;
+    }
+};
+
+/**
+ * Reorders the user's photos.
+ * @param {string} userId The ID of the user.
+ * @param {Array<number>} order Current slot numbers in their new order, e.g. [3, 1, 2].
+ * Must list every filled slot exactly once.
+ * @returns {Promise<Object>} `{ photos }`.
+ */
+const reorderPhotos = async (userId, order) => {
+    const appwrite = new AppwriteService();
+    const imagesDoc = await getImagesDocOrThrow(appwrite, userId);
+    const slots = toSlots(imagesDoc);
+
+    const filledSlotNumbers = slots
+        .map((url, index) => (url ? index + 1 : null))
+        .filter(Boolean);
+    const requested = Array.isArray(order) ? order.map((n) => Number(n)) : [];
+
+    const isPermutation =
+        requested.length === filledSlotNumbers.length &&
+        new Set(requested).size === requested.length &&
+        requested.every((n) => Number.isInteger(n) && filledSlotNumbers.includes(n));
+    if (!isPermutation) {
+        const error = new Error(`order must list each filled slot exactly once: ${filledSlotNumbers.join(', ')}.`);
+        error.code = 400;
+        throw error;
+    }
+
+    const newSlots = compactSlots(requested.map((n) => slots[n - 1]));
+    return { photos: await saveSlots(appwrite, userId, imagesDoc, newSlots) };
+};
+
+/**
+ * Makes a photo the primary one by moving it to image_1; the others keep their order.
+ * @param {string} userId The ID of the user.
+ * @param {number|string} slot The 1-based slot of the photo to promote.
+ * @returns {Promise<Object>} `{ photos }`.
+ */
+const setPrimaryPhoto = async (userId, slot) => {
+    const appwrite = new AppwriteService();
+    const index = parseSlot(slot) - 1;
+    const imagesDoc = await getImagesDocOrThrow(appwrite, userId);
+    const slots = toSlots(imagesDoc);
+
+    if (!slots[index]) {
+        const error = new Error('There is no photo in that slot.');
+        error.code = 404;
+        throw error;
+    }
+
+    const newSlots = compactSlots([slots[index], ...slots.filter((_, i) => i !== index)]);
+    return { photos: await saveSlots(appwrite, userId, imagesDoc, newSlots) };
+};
+
+/**
+ * Deletes a photo and its storage file. Later photos shift up so image_1 stays filled.
+ * @param {string} userId The ID of the user.
+ * @param {number|string} slot The 1-based slot of the photo to delete.
+ * @returns {Promise<Object>} `{ photos }`.
+ */
+const deletePhoto = async (userId, slot) => {
+    const appwrite = new AppwriteService();
+    const index = parseSlot(slot) - 1;
+    const imagesDoc = await getImagesDocOrThrow(appwrite, userId);
+    const slots = toSlots(imagesDoc);
+
+    if (!slots[index]) {
+        const error = new Error('There is no photo in that slot.');
+        error.code = 404;
+        throw error;
+    }
+
+    const newSlots = compactSlots(slots.filter((_, i) => i !== index));
+    return { photos: await saveSlots(appwrite, userId, imagesDoc, newSlots) };
+};
+
+module.exports = {
+    getPhotos,
+    uploadPhoto,
+    reorderPhotos,
+    setPrimaryPhoto,
+    deletePhoto,
+};
@@ -0,0 +1,136 @@
+// api/v1/service/preferenceService.js
+// Reads and validates writes to the current user's explore preferences.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const {
+    APPWRITE_PREFERENCE_COLLECTION_ID,
+    APPWRITE_HOBBIES_COLLECTION_ID,
+} = require('../appwrite/appwriteConstants');
+const {
+    MIN_AGE,
+    MAX_AGE,
+    MIN_DISTANCE_KM,
+    MAX_DISTANCE_KM,
+    MAX_PREFERRED_HOBBIES,
+} = require('../constants/preferenceLimits');
+const { invalidateFeedSession } = require('./feedSessionService');
+const { refreshCompletionStatus } = require('./completionService');
+const { getGenderOptions } = require('./biodataSchemaService');
+const { badRequest, validateGender } = require('../utils/validation');
+
+/**
+ * Maps a preference document to the API shape.
+ * @param {Object|null} doc The preference document.
+ * @returns {Object} `{ minAge, maxAge, preferredGender, preferredHobbies, maxDistanceKm }`.
+ */
+const toPreferences = (doc) => ({
+    minAge: doc?.min_age ?? null,
+    maxAge: doc?.max_age ?? null,
+    preferredGender: doc?.preferred_gender || null,
+    preferredHobbies: Array.isArray(doc?.preferred_hobbies)
+        ? doc.preferred_hobbies.map((h) => (typeof h === 'string' ? h : h?.$id)).filter(Boolean)
+        : [],
+    maxDistanceKm: doc?.max_distance_km ?? null,
+});
+
+/**
+ * Returns the current user's preferences. Users without a preference document get empty values.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object>} The preferences.
+ */
+const getPreferences = async (userId) => {
+    const appwrite = new AppwriteService();
+    const doc = await appwrite.getDocumentByRelation(APPWRITE_PREFERENCE_COLLECTION_ID, 'user', userId);
+    return toPreferences(doc);
+};
+
+/**
+ * Validates a whole-number field that may also be null.
+ */
+const validateInteger = (value, name, min, max) => {
+    if (value === null) return null;
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw badRequest(`${name} must be a whole number between ${min} and ${max}.`);
+    }
+    return value;
+};
+
+/**
+ * Updates the current user's preferences. Fields left out of the body keep their stored value
+ * and are not re-validated; only minAge <= maxAge is checked across the merged result.
+ * Any snapshotted explore feed is discarded.
+ * @param {string} userId The ID of the user.
+ * @param {Object} body `{ minAge, maxAge, preferredGender, preferredHobbies, maxDistanceKm }`, all optional.
+ * @returns {Promise<Object>} The stored preferences.
+ */
+const updatePreferences = async (userId, body = {}) => {
+    const appwrite = new AppwriteService();
+    const existingDoc = await appwrite.getDocumentByRelation(APPWRITE_PREFERENCE_COLLECTION_ID, 'user', userId);
+    const merged = { ...toPreferences(existingDoc) };
+    const has = (key) => body[key] !== undefined;
+
+    if (has('minAge')) merged.minAge = validateInteger(body.minAge, 'minAge', MIN_AGE, MAX_AGE);
+    if (has('maxAge')) merged.maxAge = validateInteger(body.maxAge, 'maxAge', MIN_AGE, MAX_AGE);
+    if (merged.minAge === null || merged.maxAge === null) {
+        throw badRequest('minAge and maxAge are required.');
+    }
+    if (merged.minAge > merged.maxAge) {
+        throw badRequest('minAge cannot be greater than maxAge.');
+    }
+
+    if (has('maxDistanceKm')) {
+        merged.maxDistanceKm = validateInteger(body.maxDistanceKm, 'maxDistanceKm', MIN_DISTANCE_KM, MAX_DISTANCE_KM);
+    }
+
+    if (has('preferredGender')) {
+        merged.preferredGender = body.preferredGender === null
+            ? null
+            : validateGender(body.preferredGender, 'preferredGender', await getGenderOptions());
+    }
+
+    if (has('preferredHobbies')) {
+        const ids = body.preferredHobbies;
+        if (!Array.isArray(ids) || !ids.every((id) => typeof id === 'string' && id)) {
+            throw badRequest('preferredHobbies must be an array of hobby IDs.');
+        }
+        const preferredHobbies = [...new Set(ids)];
+        if (preferredHobbies.length > MAX_PREFERRED_HOBBIES) {
+            throw badRequest(`You can pick at most ${MAX_PREFERRED_HOBBIES} preferred hobbies.`);
+        }
+        if (preferredHobbies.length) {
+            const hobbiesRes = await appwrite.listDocuments(APPWRITE_HOBBIES_COLLECTION_ID, [
+                appwrite.query.equal('$id', preferredHobbies),
+                appwrite.query.limit(preferredHobbies.length),
+            ]);
+            const knownIds = new Set(hobbiesRes.documents.map((doc) => doc.$id));
+            const unknownIds = preferredHobbies.filter((id) => !knownIds.has(id));
+            if (unknownIds.length) {
+                throw badRequest(`Unknown hobby IDs: ${unknownIds.join(', ')}.`);
+            }
+        }
+        merged.preferredHobbies = preferredHobbies;
+    }
+
+    const fields = {
+        min_age: merged.minAge,
+        max_age: merged.maxAge,
+        preferred_gender: merged.preferredGender,
+        preferred_hobbies: merged.preferredHobbies,
+        max_distance_km: merged.maxDistanceKm,
+    };
+
+    const savedDoc = existingDoc
+        ? await appwrite.updateDocument(APPWRITE_PREFERENCE_COLLECTION_ID, existingDoc.$id, fields)
+        : await appwrite.createDocument(APPWRITE_PREFERENCE_COLLECTION_ID, { user: userId, ...fields });
+
+    // The feed snapshot was ranked with the old preferences
+    invalidateFeedSession(userId);
+    await refreshCompletionStatus(userId);
+
+    return toPreferences(savedDoc);
+};
+
+module.exports = {
+    getPreferences,
+    updatePreferences,
+};
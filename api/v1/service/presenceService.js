@@ -0,0 +1,160 @@
+// api/v1/service/presenceService.js
+// Tracks online presence in memory from heartbeats and open event streams.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const {
+    APPWRITE_USERS_COLLECTION_ID,
+    APPWRITE_SETTINGS_COLLECTION_ID,
+} = require('../appwrite/appwriteConstants');
+const { hasOpenStream } = require('./realtimeService');
+
+const PRESENCE_TTL_MS = 60 * 1000;
+const LAST_SEEN_PERSIST_INTERVAL_MS = 5 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+// userId -> { lastHeartbeatAt, lastPersistedAt }
+const presence = new Map();
+
+/**
+ * Writes a user's last-seen time to the users collection. Failures are only logged.
+ * @param {string} userId The ID of the user.
+ * @param {number} timestamp Milliseconds since epoch.
+ */
+const persistLastSeen = async (userId, timestamp) => {
+    const entry = presence.get(userId);
+    if (entry) entry.lastPersistedAt = timestamp;
+
+    try {
+        const appwrite = new AppwriteService();
+        await appwrite.updateDocument(APPWRITE_USERS_COLLECTION_ID, userId, {
+            lastSeenAt: new Date(timestamp).toISOString(),
+        });
+    } catch (err) {
+        console.error(`Failed to persist last seen for user ${userId}:`, err.message);
+    }
+};
+
+/**
+ * Records that a user is active right now. Last-seen is persisted at most
+ * once every LAST_SEEN_PERSIST_INTERVAL_MS while the user stays online.
+ * @param {string} userId The ID of the user.
+ */
+const recordHeartbeat = (userId) => {
+    const now = Date.now();
+    const entry = presence.get(userId) || { lastHeartbeatAt: 0, lastPersistedAt: 0 };
+    entry.lastHeartbeatAt = now;
+    presence.set(userId, entry);
+
+    if (now - entry.lastPersistedAt >= LAST_SEEN_PERSIST_INTERVAL_MS) {
+        persistLastSeen(userId, now);
+    }
+};
+
+/**
+ * Returns whether a user currently counts as online.
+ * @param {string} userId The ID of the user.
+ * @returns {boolean}
+ */
+const isOnline = (userId) => {
+    if (hasOpenStream(userId)) return true;
+    const entry = presence.get(userId);
+    return !!entry && Date.now() - entry.lastHeartbeatAt < PRESENCE_TTL_MS;
+};
+
+/**
+ * Expires stale entries, writing their final last-seen time, and keeps users
+ * with an open event stream fresh.
+ */
+const sweepPresence = () => {
+    const now = Date.now();
+    for (const [userId, entry] of presence) {
+        if (hasOpenStream(userId)) {
+            recordHeartbeat(userId);
+            continue;
+        }
+        if (now - entry.lastHeartbeatAt < PRESENCE_TTL_MS) continue;
+
+        if (entry.lastPersistedAt < entry.lastHeartbeatAt) {
+            persistLastSeen(userId, entry.lastHeartbeatAt);
+        }
+        presence.delete(userId);
+    }
+};
+
+setInterval(sweepPresence, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Loads the hide-presence setting for a list of users in one query.
+ * @param {Array<string>} userIds The IDs of the users.
+ * @returns {Promise<Set<string>>} The IDs of users who hide their presence.
+ */
+const getHiddenPresenceUserIds = async (userIds) => {
+    const hiddenUserIds = new Set();
+    if (!userIds.length) return hiddenUserIds;
+
+    const appwrite = new AppwriteService();
+    try {
+        const settingsRes = await appwrite.listDocuments(
+            APPWRITE_SETTINGS_COLLECTION_ID,
+            [
+                appwrite.query.equal('user', userIds),
+                appwrite.query.equal('hide_presence', true),
+                appwrite.query.limit(userIds.length),
+            ]
+        );
+        settingsRes.documents.forEach((doc) => {
+            if (doc.user && doc.user.$id) hiddenUserIds.add(doc.user.$id);
+        });
+    } catch (err) {
+        console.warn(`Failed to load presence settings: ${err.message}`);
+    }
+
+    return hiddenUserIds;
+};
+
+/**
+ * Builds the presence object shown to a chat partner.
+ * @param {string} userId The ID of the user whose presence is shown.
+ * @param {Object|null} userDoc The user's document (for the persisted lastSeenAt).
+ * @param {boolean} hidden Whether the user hides their presence.
+ * @returns {Object} `{ hidden, online, lastSeenAt }`.
+ */
+const getPresence = (userId, userDoc, hidden) => {
+    if (hidden) {
+        return { hidden: true, online: null, lastSeenAt: null };
+    }
+
+    const entry = presence.get(userId);
+    const lastSeenAt = entry
+        ? new Date(entry.lastHeartbeatAt).toISOString()
+        : userDoc?.lastSeenAt || null;
+
+    return { hidden: false, online: isOnline(userId), lastSeenAt };
+};
+
+/**
+ * Updates the current user's presence visibility setting.
+ * @param {string} userId The ID of the user.
+ * @param {boolean} hidePresence Whether to hide online status and last seen.
+ * @returns {Promise<Object>} `{ hidePresence }`.
+ */
+const setPresenceVisibility = async (userId, hidePresence) => {
+    const appwrite = new AppwriteService();
+
+    const settingsDoc = await appwrite.getDocumentByRelation(APPWRITE_SETTINGS_COLLECTION_ID, 'user', userId);
+    if (settingsDoc) {
+        await appwrite.updateDocument(APPWRITE_SETTINGS_COLLECTION_ID, settingsDoc.$id, { hide_presence: hidePresence });
+    } else {
+        await appwrite.createDocument(APPWRITE_SETTINGS_COLLECTION_ID, { user: userId, hide_presence: hidePresence });
+    }
+
+    return { hidePresence };
+};
+
+module.exports = {
+    recordHeartbeat,
+    isOnline,
+    getHiddenPresenceUserIds,
+    getPresence,
+    setPresenceVisibility,
+};
@@ -0,0 +1,239 @@
+// api/v1/service/profileCardService.js
+// Builds profile cards for lists of users with one batched query per collection.
+//
+// Callers pick the fields they need, so list views (invitations, chats) only load the
+// users and images collections while explore and profile pages get the full card.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const { Query } = require('node-appwrite');
+const {
+    APPWRITE_USERS_COLLECTION_ID,
+    APPWRITE_BIODATA_COLLECTION_ID,
+    APPWRITE_IMAGES_COLLECTION_ID,
+    APPWRITE_PROMPTS_COLLECTION_ID,
+    APPWRITE_HOBBIES_COLLECTION_ID,
+    APPWRITE_LANGUAGES_COLLECTION_ID,
+    APPWRITE_LOCATION_COLLECTION_ID,
+} = require('../appwrite/appwriteConstants');
+const { PROMPT_COUNT } = require('../constants/profileLimits');
+const { PROFILE_PHOTO_SLOTS } = require('../constants/imageLimits');
+
+// Appwrite caps the number of values in a single equal() query
+const QUERY_CHUNK_SIZE = 100;
+
+const CARD_FIELDS = ['name', 'lastSeenAt', 'primaryImage', 'images', 'biodata', 'hobbies', 'languages', 'prompts', 'location'];
+// The full card shown in explore and on profile pages
+const PROFILE_CARD_FIELDS = ['biodata', 'location', 'images', 'hobbies', 'languages', 'prompts'];
+// The compact card used by invitation and chat lists
+const LIST_CARD_FIELDS = ['name', 'primaryImage'];
+
+/**
+ * Lists documents whose `field` matches any of the given IDs, chunking the ID list
+ * so each request stays within Appwrite's query limits.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} collectionId The collection to query.
+ * @param {string} field The attribute to match (e.g. 'user' or '$id').
+ * @param {Array<string>} ids The IDs to match.
+ * @param {Array<string>} [queries] Extra filters applied to every chunk.
+ * @returns {Promise<Array<Object>>} All matching documents.
+ */
+const listDocumentsByIds = async (appwrite, collectionId, field, ids, queries = []) => {
+    const documents = [];
+    for (let i = 0; i < ids.length; i += QUERY_CHUNK_SIZE) {
+        const chunk = ids.slice(i, i + QUERY_CHUNK_SIZE);
+        const res = await appwrite.listDocuments(
+            collectionId,
+            [...queries, Query.equal(field, chunk), Query.limit(chunk.length)]
+        );
+        documents.push(...res.documents);
+    }
+    return documents;
+};
+
+/**
+ * Lists documents related to the given users, keyed by user ID.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} collectionId A collection with a `user` relationship.
+ * @param {Array<string>} userIds The IDs of the users.
+ * @returns {Promise<Map<string, Object>>}
+ */
+const mapByUser = async (appwrite, collectionId, userIds) => {
+    const map = new Map();
+    (await listDocumentsByIds(appwrite, collectionId, 'user', userIds))
+        .forEach((doc) => {
+            if (doc.user) map.set(doc.user.$id, doc);
+        });
+    return map;
+};
+
+/**
+ * Reads the prompt answers of a prompts document.
+ * @param {Object|undefined} doc The prompts document.
+ * @returns {Array<string|null>}
+ */
+const toPromptAnswers = (doc) => {
+    const promptsArray = [];
+    for (let i = 1; i <= PROMPT_COUNT; i++) {
+        promptsArray.push((doc && doc[`answer_${i}`]) || null);
+    }
+    return promptsArray;
+};
+
+/**
+ * Reads the filled photo URLs of an images document, primary first.
+ * @param {Object|undefined} doc The images document.
+ * @returns {Array<string>}
+ */
+const toImageUrls = (doc) => {
+    const imageUrls = [];
+    for (let i = 1; i <= PROFILE_PHOTO_SLOTS; i++) {
+        if (doc && doc[`image_${i}`]) imageUrls.push(doc[`image_${i}`]);
+    }
+    return imageUrls;
+};
+
+/**
+ * Reads the IDs out of a relationship attribute.
+ * @param {Array<Object>|undefined} docs The related documents.
+ * @returns {Array<string>}
+ */
+const relationIds = (docs) => Array.isArray(docs) ? docs.map((d) => (d ? d.$id : null)).filter(Boolean) : [];
+
+/**
+ * Loads the lookup documents (hobbies or languages) referenced by a relationship
+ * attribute of the given documents. Only referenced IDs are fetched.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} collectionId The lookup collection.
+ * @param {Array<Object>} docs Documents holding the relationship, usually biodata.
+ * @param {string} field The relationship attribute (e.g. 'hobbies').
+ * @returns {Promise<Map<string, Object>>} Lookup documents keyed by ID.
+ */
+const loadReferencedMap = async (appwrite, collectionId, docs, field) => {
+    const ids = new Set();
+    docs.forEach((doc) => relationIds(doc && doc[field]).forEach((id) => ids.add(id)));
+
+    const map = new Map();
+    (await listDocumentsByIds(appwrite, collectionId, '$id', Array.from(ids)))
+        .forEach((doc) => map.set(doc.$id, doc));
+    return map;
+};
+
+/**
+ * Loads the hobby documents referenced by a set of biodata documents.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {Array<Object>} biodataDocs The biodata documents.
+ * @returns {Promise<Map<string, Object>>} Hobby documents keyed by ID.
+ */
+const loadHobbiesMap = (appwrite, biodataDocs) =>
+    loadReferencedMap(appwrite, APPWRITE_HOBBIES_COLLECTION_ID, biodataDocs, 'hobbies');
+
+/**
+ * Loads the language documents referenced by a set of biodata documents.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {Array<Object>} biodataDocs The biodata documents.
+ * @returns {Promise<Map<string, Object>>} Language documents keyed by ID.
+ */
+const loadLanguagesMap = (appwrite, biodataDocs) =>
+    loadReferencedMap(appwrite, APPWRITE_LANGUAGES_COLLECTION_ID, biodataDocs, 'languages');
+
+/**
+ * Builds profile cards for a list of users. Each collection a requested field needs is
+ * read once for the whole list, so the number of Appwrite calls does not grow with the list.
+ *
+ * Supported fields: name, lastSeenAt (users document), primaryImage, images (photo URLs),
+ * biodata, hobbies, languages, prompts, location. Every card also has `userId`.
+ * Users without the underlying documents get null / empty values; `biodata` is null when the
+ * user has no biodata, which callers use to drop incomplete profiles.
+ *
+ * @param {Array<string>} userIds The IDs of the users, in display order.
+ * @param {Array<string>} [fields] The fields to include (default: PROFILE_CARD_FIELDS).
+ * @param {AppwriteService} [appwrite] The Appwrite service instance to reuse.
+ * @returns {Promise<Array<Object>>} One card per user ID, in the same order.
+ */
+const buildProfileCards = async (userIds, fields = PROFILE_CARD_FIELDS, appwrite = new AppwriteService()) => {
+    const unknownFields = fields.filter((field) => !CARD_FIELDS.includes(field));
+    if (unknownFields.length) {
+        throw new Error(`Unknown profile card fields: ${unknownFields.join(', ')}`);
+    }
+    if (!userIds.length) return [];
+
+    const wants = (...names) => names.some((name) => fields.includes(name));
+    const uniqueUserIds = [...new Set(userIds)];
+
+    const usersMap = new Map();
+    if (wants('name', 'lastSeenAt')) {
+        (await listDocumentsByIds(appwrite, APPWRITE_USERS_COLLECTION_ID, '$id', uniqueUserIds))
+            .forEach((doc) => usersMap.set(doc.$id, doc));
+    }
+
+    const imagesMap = wants('primaryImage', 'images')
+        ? await mapByUser(appwrite, APPWRITE_IMAGES_COLLECTION_ID, uniqueUserIds)
+        : new Map();
+    const biodataMap = wants('biodata', 'hobbies', 'languages')
+        ? await mapByUser(appwrite, APPWRITE_BIODATA_COLLECTION_ID, uniqueUserIds)
+        : new Map();
+    const promptsMap = wants('prompts')
+        ? await mapByUser(appwrite, APPWRITE_PROMPTS_COLLECTION_ID, uniqueUserIds)
+        : new Map();
+    const locationsMap = wants('location')
+        ? await mapByUser(appwrite, APPWRITE_LOCATION_COLLECTION_ID, uniqueUserIds)
+        : new Map();
+
+    const biodataDocs = Array.from(biodataMap.values());
+    const hobbiesMap = wants('hobbies') ? await loadHobbiesMap(appwrite, biodataDocs) : new Map();
+    const languagesMap = wants('languages') ? await loadLanguagesMap(appwrite, biodataDocs) : new Map();
+
+    return userIds.map((userId) => {
+        const user = usersMap.get(userId);
+        const bio = biodataMap.get(userId) || null;
+        const imagesDoc = imagesMap.get(userId);
+
+        const card = { userId };
+        for (const field of fields) {
+            switch (field) {
+                case 'name':
+                    card.name = user?.name || null;
+                    break;
+                case 'lastSeenAt':
+                    card.lastSeenAt = user?.lastSeenAt || null;
+                    break;
+                case 'primaryImage':
+                    // image_1 is always the primary photo
+                    card.primaryImage = imagesDoc?.image_1 || null;
+                    break;
+                case 'images':
+                    card.images = toImageUrls(imagesDoc);
+                    break;
+                case 'biodata':
+                    card.biodata = bio;
+                    break;
+                case 'hobbies':
+                    card.hobbies = relationIds(bio?.hobbies).map((hid) => hobbiesMap.get(hid)).filter(Boolean);
+                    break;
+                case 'languages':
+                    card.languages = relationIds(bio?.languages).map((lid) => languagesMap.get(lid)).filter(Boolean);
+                    break;
+                case 'prompts':
+                    card.prompts = toPromptAnswers(promptsMap.get(userId));
+                    break;
+                case 'location':
+                    card.location = locationsMap.get(userId) || null;
+                    break;
+            }
+        }
+        return card;
+    });
+};
+
+module.exports = {
+    QUERY_CHUNK_SIZE,
+    PROFILE_CARD_FIELDS,
+    LIST_CARD_FIELDS,
+    listDocumentsByIds,
+    toPromptAnswers,
+    toImageUrls,
+    relationIds,
+    loadHobbiesMap,
+    loadLanguagesMap,
+    buildProfileCards,
+};
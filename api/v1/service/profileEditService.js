@@ -0,0 +1,186 @@
+// api/v1/service/profileEditService.js
+// Reads single profiles and applies validated edits to biodata, prompts, hobbies and languages.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const {
+    APPWRITE_USERS_COLLECTION_ID,
+    APPWRITE_BIODATA_COLLECTION_ID,
+    APPWRITE_PROMPTS_COLLECTION_ID,
+    APPWRITE_HOBBIES_COLLECTION_ID,
+    APPWRITE_LANGUAGES_COLLECTION_ID,
+} = require('../appwrite/appwriteConstants');
+const { MIN_AGE, MAX_AGE } = require('../constants/preferenceLimits');
+const {
+    PROMPT_COUNT,
+    PROMPT_ANSWER_MAX_LENGTH,
+    MAX_HOBBIES,
+    MAX_LANGUAGES,
+} = require('../constants/profileLimits');
+const { buildProfileCards, PROFILE_CARD_FIELDS } = require('./profileCardService');
+const { getBlockedUserIds } = require('./blockService');
+const { getAccountRestriction } = require('./reportService');
+const { refreshCompletionStatus } = require('./completionService');
+const { getGenderOptions } = require('./biodataSchemaService');
+const { badRequest, validateGender } = require('../utils/validation');
+
+const EDITABLE_FIELDS = ['age', 'gender', 'hobbies', 'languages', 'prompts'];
+
+const notFound = () => {
+    const error = new Error('Profile not found');
+    error.code = 404;
+    return error;
+};
+
+/**
+ * Returns a user's profile card: biodata, images, hobbies, languages and prompts.
+ * Only the owner sees the location; blocked, banned and suspended users are not found.
+ * @param {string} viewerId The ID of the user asking.
+ * @param {string} userId The ID of the profile to read.
+ * @returns {Promise<Object>} The profile.
+ */
+const getProfile = async (viewerId, userId) => {
+    const appwrite = new AppwriteService();
+    const isOwner = viewerId === userId;
+
+    if (!isOwner) {
+        const blockedUserIds = await getBlockedUserIds(viewerId);
+        if (blockedUserIds.has(userId)) throw notFound();
+        const userDoc = await appwrite.getDocumentByRelation(APPWRITE_USERS_COLLECTION_ID, '$id', userId);
+        if (!userDoc || getAccountRestriction(userDoc)) throw notFound();
+    }
+
+    const fields = isOwner ? PROFILE_CARD_FIELDS : PROFILE_CARD_FIELDS.filter((field) => field !== 'location');
+    const [profile] = await buildProfileCards([userId], fields, appwrite);
+    if (!profile.biodata) throw notFound();
+
+    return profile;
+};
+
+/**
+ * Checks that every ID exists in a lookup collection.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} collectionId The hobbies or languages collection.
+ * @param {*} ids The IDs from the request.
+ * @param {string} name The field name, for error messages.
+ * @param {number} max The maximum number of IDs.
+ * @returns {Promise<Array<string>>} The de-duplicated IDs.
+ */
+const validateRelationIds = async (appwrite, collectionId, ids, name, max) => {
+    if (!Array.isArray(ids) || !ids.every((id) => typeof id === 'string' && id)) {
+        throw badRequest(`${name} must be an array of IDs.`);
+    }
+    const uniqueIds = [...new Set(ids)];
+    if (uniqueIds.length > max) {
+        throw badRequest(`You can pick at most ${max} ${name}.`);
+    }
+    if (!uniqueIds.length) return uniqueIds;
+
+    const res = await appwrite.listDocuments(collectionId, [
+        appwrite.query.equal('$id', uniqueIds),
+        appwrite.query.limit(uniqueIds.length),
+    ]);
+    const knownIds = new Set(res.documents.map((doc) => doc.$id));
+    const unknownIds = uniqueIds.filter((id) => !knownIds.has(id));
+    if (unknownIds.length) {
+        throw badRequest(`Unknown ${name} IDs: ${unknownIds.join(', ')}.`);
+    }
+    return uniqueIds;
+};
+
+/**
+ * Validates prompt answers given as `{ "1": "answer", "3": null }`.
+ * @param {*} prompts The prompts from the request.
+ * @returns {Object} `{ answer_N: string|null }` for the prompts being changed.
+ */
+const validatePrompts = (prompts) => {
+    if (!prompts || typeof prompts !== 'object' || Array.isArray(prompts)) {
+        throw badRequest(`prompts must be an object keyed by prompt number (1-${PROMPT_COUNT}).`);
+    }
+
+    const fields = {};
+    for (const [key, value] of Object.entries(prompts)) {
+        const number = Number(key);
+        if (!Number.isInteger(number) || number < 1 || number > PROMPT_COUNT) {
+            throw badRequest(`Invalid prompt number ${key}. Must be between 1 and ${PROMPT_COUNT}.`);
+        }
+        if (value !== null && typeof value !== 'string') {
+            throw badRequest(`Prompt ${number} must be a string or null.`);
+        }
+
+        const answer = value === null ? '' : value.trim();
+        if (answer.length > PROMPT_ANSWER_MAX_LENGTH) {
+            throw badRequest(`Prompt ${number} must be at most ${PROMPT_ANSWER_MAX_LENGTH} characters.`);
+        }
+        fields[`answer_${number}`] = answer || null;
+    }
+    return fields;
+};
+
+/**
+ * Applies a partial update to the current user's profile, then recomputes their completion status.
+ * @param {string} userId The ID of the user.
+ * @param {Object} body Any of `{ age, gender, hobbies, languages, prompts }`.
+ * @returns {Promise<Object>} `{ profile, completion }`; completion is null when it could not be recomputed.
+ */
+const updateProfile = async (userId, body = {}) => {
+    const appwrite = new AppwriteService();
+
+    const unknownFields = Object.keys(body).filter((key) => !EDITABLE_FIELDS.includes(key));
+    if (unknownFields.length) {
+        throw badRequest(`Unknown fields: ${unknownFields.join(', ')}. Editable fields: ${EDITABLE_FIELDS.join(', ')}.`);
+    }
+    if (!Object.keys(body).length) {
+        throw badRequest('Nothing to update.');
+    }
+
+    // Validate everything before writing anything
+    const biodataFields = {};
+    if (body.age !== undefined) {
+        if (!Number.isInteger(body.age) || body.age < MIN_AGE || body.age > MAX_AGE) {
+            throw badRequest(`age must be a whole number between ${MIN_AGE} and ${MAX_AGE}.`);
+        }
+        biodataFields.age = body.age;
+    }
+    if (body.gender !== undefined) {
+        biodataFields.gender = validateGender(body.gender, 'gender', await getGenderOptions());
+    }
+    if (body.hobbies !== undefined) {
+        biodataFields.hobbies = await validateRelationIds(
+            appwrite, APPWRITE_HOBBIES_COLLECTION_ID, body.hobbies, 'hobbies', MAX_HOBBIES
+        );
+    }
+    if (body.languages !== undefined) {
+        biodataFields.languages = await validateRelationIds(
+            appwrite, APPWRITE_LANGUAGES_COLLECTION_ID, body.languages, 'languages', MAX_LANGUAGES
+        );
+    }
+    const promptFields = body.prompts !== undefined ? validatePrompts(body.prompts) : {};
+
+    if (Object.keys(biodataFields).length) {
+        const biodataDoc = await appwrite.getDocumentByRelation(APPWRITE_BIODATA_COLLECTION_ID, 'user', userId);
+        if (biodataDoc) {
+            await appwrite.updateDocument(APPWRITE_BIODATA_COLLECTION_ID, biodataDoc.$id, biodataFields);
+        } else {
+            await appwrite.createDocument(APPWRITE_BIODATA_COLLECTION_ID, { user: userId, ...biodataFields });
+        }
+    }
+
+    if (Object.keys(promptFields).length) {
+        const promptsDoc = await appwrite.getDocumentByRelation(APPWRITE_PROMPTS_COLLECTION_ID, 'user', userId);
+        if (promptsDoc) {
+            await appwrite.updateDocument(APPWRITE_PROMPTS_COLLECTION_ID, promptsDoc.$id, promptFields);
+        } else {
+            await appwrite.createDocument(APPWRITE_PROMPTS_COLLECTION_ID, { user: userId, ...promptFields });
+        }
+    }
+
+    const completion = await refreshCompletionStatus(userId);
+    const profile = await getProfile(userId, userId);
+
+    return { profile, completion };
+};
+
+module.exports = {
+    getProfile,
+    updateProfile,
+};
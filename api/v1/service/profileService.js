@@ -1,45 +1,53 @@
 // api/v1/service/profileService.js
 
 const { AppwriteService } = require('../appwrite/appwriteService');
-const haversine = require('../utils/haversine');
+const { getNearbyLocations } = require('./locationService');
+const { createFeedSession, getFeedSession, encodeCursor } = require('./feedSessionService');
+const { getHiddenUserIds } = require('./swipeService');
+const { recordImpressions, flushImpressions } = require('./impressionService');
+const { scoreCompatibility } = require('../utils/compatibility');
+const { resolveExploreFilters } = require('../utils/exploreFilters');
+const { getBlockedUserIds } = require('./blockService');
+const { getRestrictedUserIds } = require('./reportService');
+const {
+    PROFILE_CARD_FIELDS,
+    listDocumentsByIds,
+    toPromptAnswers,
+    toImageUrls,
+    relationIds,
+    loadHobbiesMap,
+    loadLanguagesMap,
+    buildProfileCards,
+} = require('./profileCardService');
 const { Query } = require('node-appwrite');
 const {
-    APPWRITE_HAS_SHOWN_COLLECTION_ID,
     APPWRITE_PREFERENCE_COLLECTION_ID,
     APPWRITE_LOCATION_COLLECTION_ID,
     APPWRITE_BIODATA_COLLECTION_ID,
     APPWRITE_IMAGES_COLLECTION_ID,
-    APPWRITE_HOBBIES_COLLECTION_ID,
     APPWRITE_CONNECTIONS_COLLECTION_ID,
     APPWRITE_COMPLETION_STATUS_COLLECTION_ID,
     APPWRITE_PROMPTS_COLLECTION_ID,
-    APPWRITE_LANGUAGES_COLLECTION_ID
+    APPWRITE_USERS_COLLECTION_ID
 } = require('../appwrite/appwriteConstants');
 
 
 const PAGE_SIZE = 25;
+// Upper bound on the candidates kept in one feed snapshot
+const MAX_FEED_SNAPSHOT_SIZE = 1000;
 
 /**
- * Fetches the next batch of user profiles for exploration based on user preferences and location.
+ * Builds the ranked candidate list for a user's explore feed: nearby, unseen,
+ * matching their preferences and filter overrides, scored and sorted best first.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
  * @param {string} userId The ID of the current user.
- * @param {number} page The page number for pagination.
- * @returns {Promise<Array>} A list of user profiles.
+ * @param {Object} overrides Filter overrides from parseExploreFilters.
+ * @param {Set<string>} blockedUserIds Users blocked in either direction, from getBlockedUserIds.
+ * @returns {Promise<Object>} `{ entries, appliedFilters }`; entries are `{ userId, location, compatibility }`.
  */
-const getNextBatchProfiles = async (userId, page = 0) => {
-    const offset = page * PAGE_SIZE;
-    const appwrite = new AppwriteService();
-
-    // Get viewed user IDs from has-shown collection
-    const viewedDocs = await appwrite.listDocuments(
-        APPWRITE_HAS_SHOWN_COLLECTION_ID,
-        [Query.equal("user", userId)]
-    );
-
-    const viewedUserIds = new Set(
-        viewedDocs.documents
-            .map((doc) => (doc.who ? doc.who.$id : null))
-            .filter(Boolean)
-    );
+const buildRankedCandidates = async (appwrite, userId, overrides, blockedUserIds) => {
+    // Get viewed user IDs from has-shown collection; passes come back after their cooldown
+    const viewedUserIds = await getHiddenUserIds(appwrite, userId);
 
     // Get current user preferences from preference collection
     const preference = await appwrite.getDocumentByRelation(
@@ -51,9 +59,12 @@ const getNextBatchProfiles = async (userId, page = 0) => {
         console.warn(
             `Preferences not found for user: ${userId}. Returning empty profiles.`
         );
-        return [];
+        return { entries: [], appliedFilters: [] };
     }
 
+    const { filters, applied: appliedFilters } = resolveExploreFilters(preference, overrides);
+    const noCandidates = { entries: [], appliedFilters };
+
     // Fetch current user's location
     const currentUserLocationDoc = await appwrite.getDocumentByRelation(
         APPWRITE_LOCATION_COLLECTION_ID,
@@ -63,192 +74,200 @@ const getNextBatchProfiles = async (userId, page = 0) => {
     if (!currentUserLocationDoc) {
         throw new Error("User location not found");
     }
-    const currentUserLatitude = currentUserLocationDoc.latitude;
-    const currentUserLongitude = currentUserLocationDoc.longitude;
 
-    // Fetch potential user IDs based on distance and exclude already seen profiles
-    const allOtherLocationsRes = await appwrite.listDocuments(
-        APPWRITE_LOCATION_COLLECTION_ID,
-        [
-            Query.notEqual("user", userId),
-            Query.limit(5000),
-        ]
+    // Fetch potential user IDs within range (geohash cells first, then exact distance)
+    // and exclude already seen profiles
+    const nearbyByUserId = await getNearbyLocations(
+        appwrite,
+        userId,
+        currentUserLocationDoc.latitude,
+        currentUserLocationDoc.longitude,
+        filters.maxDistanceKm
     );
 
-    const nearbyAndUnseenUserIds = [];
-    for (const loc of allOtherLocationsRes.documents) {
-        if (!loc.user) continue;
-
-        const potentialUserId = loc.user.$id;
-
-        if (viewedUserIds.has(potentialUserId)) {
-            continue;
-        }
-
-        const distance = haversine(
-            currentUserLatitude,
-            currentUserLongitude,
-            loc.latitude,
-            loc.longitude
-        );
-
-        if (!preference.max_distance_km || distance <= preference.max_distance_km) {
-            nearbyAndUnseenUserIds.push(potentialUserId);
-        }
+    // Users blocked in either direction, and banned or suspended users, are never shown
+    const unseenUserIds = [];
+    for (const potentialUserId of nearbyByUserId.keys()) {
+        if (viewedUserIds.has(potentialUserId) || blockedUserIds.has(potentialUserId)) continue;
+        unseenUserIds.push(potentialUserId);
     }
+    const restrictedUserIds = await getRestrictedUserIds(unseenUserIds, appwrite);
+    const nearbyAndUnseenUserIds = unseenUserIds.filter((id) => !restrictedUserIds.has(id));
 
-    if (!nearbyAndUnseenUserIds.length) return [];
+    if (!nearbyAndUnseenUserIds.length) return noCandidates;
 
-    // Fetch biodata records only for the nearby, unseen users
-    const biodataDocsRes = await appwrite.listDocuments(
+    // Apply age, gender, hobby and language filters to the biodata of every candidate
+    let biodataDocs = (await listDocumentsByIds(
+        appwrite,
         APPWRITE_BIODATA_COLLECTION_ID,
-        [
-            Query.equal("user", nearbyAndUnseenUserIds),
-            Query.offset(offset),
-            Query.limit(PAGE_SIZE * 2),
-        ]
-    );
-    const biodataDocs = biodataDocsRes.documents;
+        "user",
+        nearbyAndUnseenUserIds
+    )).filter((bio) => {
+        if (!bio.user) return false;
+        if (filters.minAge !== null && bio.age < filters.minAge) return false;
+        if (filters.maxAge !== null && bio.age > filters.maxAge) return false;
+        if (filters.gender && bio.gender !== filters.gender) return false;
+
+        const userHobbyIds = relationIds(bio.hobbies);
+        const hasCommonHobbies = userHobbyIds.some(hid => filters.hobbies.includes(hid));
+        if (filters.hobbies.length > 0 && !hasCommonHobbies) return false;
+
+        const userLanguageIds = relationIds(bio.languages);
+        const hasCommonLanguages = userLanguageIds.some(lid => filters.languages.includes(lid));
+        return filters.languages.length === 0 || hasCommonLanguages;
+    });
 
-    const allUserIdsInBiodata = biodataDocs
-        .map((bio) => (bio.user ? bio.user.$id : null))
-        .filter(Boolean);
+    if (biodataDocs.length === 0) return noCandidates;
 
-    if (allUserIdsInBiodata.length === 0) return [];
+    const candidateUserIds = biodataDocs.map((bio) => bio.user.$id);
 
-    // --- NEW: Fetch all prompts for the profiles in this batch ---
-    const promptsDocsRes = await appwrite.listDocuments(
-        APPWRITE_PROMPTS_COLLECTION_ID,
-        [Query.equal('user', allUserIdsInBiodata), Query.limit(allUserIdsInBiodata.length)]
-    );
+    // Prompts, languages, hobbies and last activity feed the compatibility score
     const promptsMap = new Map();
-    promptsDocsRes.documents.forEach(doc => {
-        if (doc.user) {
-            const promptsArray = [];
-            for (let i = 1; i <= 7; i++) {
-                promptsArray.push(doc[`answer_${i}`] || null);
-            }
-            promptsMap.set(doc.user.$id, promptsArray);
-        }
-    });
+    (await listDocumentsByIds(appwrite, APPWRITE_PROMPTS_COLLECTION_ID, "user", candidateUserIds))
+        .forEach((doc) => {
+            if (doc.user) promptsMap.set(doc.user.$id, toPromptAnswers(doc));
+        });
 
-    // --- FETCH ALL 6 IMAGES ---
-    const imageDocsRes = await appwrite.listDocuments(
-        APPWRITE_IMAGES_COLLECTION_ID,
-        [Query.equal("user", allUserIdsInBiodata), Query.limit(PAGE_SIZE * 2)]
-    );
-    const imagesMap = new Map();
-    imageDocsRes.documents.forEach((img) => {
-        if (img.user) {
-            const imageUrls = [];
-            for (let i = 1; i <= 6; i++) {
-                if (img[`image_${i}`]) {
-                    imageUrls.push(img[`image_${i}`]);
-                }
-            }
-            imagesMap.set(img.user.$id, imageUrls);
-        }
-    });
+    const languagesMap = await loadLanguagesMap(appwrite, biodataDocs);
+    const hobbiesMap = await loadHobbiesMap(appwrite, biodataDocs);
 
-    // --- NEW: Fetch all languages for mapping ---
-    const uniqueLanguageIds = new Set();
-    biodataDocs.forEach(bio => {
-        if (Array.isArray(bio.languages)) {
-            bio.languages.forEach(lang => {
-                if (lang && lang.$id) {
-                    uniqueLanguageIds.add(lang.$id);
-                }
+    const lastActiveMap = new Map();
+    (await listDocumentsByIds(appwrite, APPWRITE_USERS_COLLECTION_ID, "$id", candidateUserIds))
+        .forEach((doc) => lastActiveMap.set(doc.$id, doc.lastSeenAt || null));
+
+    // Profile-quality and activity filters
+    let photoCountMap = null;
+    if (filters.minPhotos) {
+        photoCountMap = new Map();
+        (await listDocumentsByIds(appwrite, APPWRITE_IMAGES_COLLECTION_ID, "user", candidateUserIds))
+            .forEach((img) => {
+                if (img.user) photoCountMap.set(img.user.$id, toImageUrls(img).length);
             });
+    }
+    const activeSince = filters.activeWithinDays
+        ? Date.now() - filters.activeWithinDays * 24 * 60 * 60 * 1000
+        : null;
+
+    biodataDocs = biodataDocs.filter((bio) => {
+        const candidateUserId = bio.user.$id;
+        if (filters.hasPrompts && !(promptsMap.get(candidateUserId) || []).some(Boolean)) return false;
+        if (photoCountMap && (photoCountMap.get(candidateUserId) || 0) < filters.minPhotos) return false;
+        if (activeSince) {
+            const lastActiveAt = lastActiveMap.get(candidateUserId);
+            if (!lastActiveAt || new Date(lastActiveAt).getTime() < activeSince) return false;
         }
+        return true;
     });
 
-    const languagesMap = new Map();
-    if (uniqueLanguageIds.size > 0) {
-        const languagesRes = await appwrite.listDocuments(
-            APPWRITE_LANGUAGES_COLLECTION_ID,
-            [Query.equal('$id', Array.from(uniqueLanguageIds)), Query.limit(uniqueLanguageIds.size)]
-        );
-        languagesRes.documents.forEach(doc => languagesMap.set(doc.$id, doc));
-    }
-
+    // The viewer's own hobbies and languages, plus preferred hobbies, are what candidates are scored against
+    const currentUserBiodata = await appwrite.getDocumentByRelation(
+        APPWRITE_BIODATA_COLLECTION_ID,
+        "user",
+        userId
+    );
+    const viewer = {
+        hobbyIds: [...relationIds(currentUserBiodata?.hobbies), ...filters.hobbies],
+        languageIds: relationIds(currentUserBiodata?.languages),
+        maxDistanceKm: filters.maxDistanceKm,
+    };
+
+    const now = Date.now();
+    const entries = biodataDocs.map((bio) => {
+        const candidateUserId = bio.user.$id;
+        const nearby = nearbyByUserId.get(candidateUserId);
+        return {
+            userId: candidateUserId,
+            location: nearby.location,
+            compatibility: scoreCompatibility(viewer, {
+                distanceKm: nearby.distance,
+                hobbies: relationIds(bio.hobbies).map((hid) => hobbiesMap.get(hid)).filter(Boolean),
+                languages: relationIds(bio.languages).map((lid) => languagesMap.get(lid)).filter(Boolean),
+                prompts: promptsMap.get(candidateUserId) || toPromptAnswers(),
+                lastActiveAt: lastActiveMap.get(candidateUserId),
+            }, now),
+        };
+    });
 
-    const hobbiesDocsRes = await appwrite.listDocuments(
-        APPWRITE_HOBBIES_COLLECTION_ID,
-        [Query.limit(100)]
+    // Best matches first; ties broken by user ID so the order is deterministic
+    entries.sort((a, b) =>
+        b.compatibility.score - a.compatibility.score || a.userId.localeCompare(b.userId)
     );
-    const hobbiesMap = new Map();
-    hobbiesDocsRes.documents.forEach((hobby) => {
-        hobbiesMap.set(hobby.$id, hobby);
+    return { entries: entries.slice(0, MAX_FEED_SNAPSHOT_SIZE), appliedFilters };
+};
+
+/**
+ * Builds full profile cards for one page of feed entries, in entry order.
+ * The location and compatibility come from the feed snapshot.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {Array<Object>} entries Feed entries `{ userId, location, compatibility }`.
+ * @returns {Promise<Array<Object>>} The profiles.
+ */
+const hydrateFeedProfiles = async (appwrite, entries) => {
+    const fields = PROFILE_CARD_FIELDS.filter((field) => field !== 'location');
+    const cards = await buildProfileCards(entries.map((entry) => entry.userId), fields, appwrite);
+
+    const profiles = [];
+    entries.forEach((entry, i) => {
+        const { biodata, ...card } = cards[i];
+        // The profile was removed since the snapshot was taken
+        if (!biodata) return;
+
+        profiles.push({
+            userId: entry.userId,
+            biodata,
+            location: entry.location || null,
+            ...card,
+            compatibility: entry.compatibility || null,
+        });
     });
+    return profiles;
+};
 
-    // Final filtering and enrichment of profiles based on preferences
-    const filteredProfiles = [];
-
-    for (const bio of biodataDocs) {
-        if (filteredProfiles.length >= PAGE_SIZE) break;
-
-        if (!bio.user) continue;
-
-        const currentProfileUserId = bio.user.$id;
-
-        // Apply age, gender preferences
-        if (bio.age < preference.min_age || bio.age > preference.max_age) continue;
-        if (
-            preference.preferred_gender &&
-            bio.gender !== preference.preferred_gender
-        )
-            continue;
-
-        const userHobbyIds = Array.isArray(bio.hobbies)
-            ? bio.hobbies.map((h) => (h ? h.$id : null)).filter(Boolean)
-            : [];
-        const preferredHobbyIds = Array.isArray(preference.preferred_hobbies)
-            ? preference.preferred_hobbies.map(h => h ? h.$id : null).filter(Boolean)
-            : [];
-
-        const hasCommonHobbies = userHobbyIds.some(hid => preferredHobbyIds.includes(hid));
-        if (preferredHobbyIds.length > 0 && !hasCommonHobbies) continue;
-
-        // NEW: Map the language relationship IDs to the full language objects
-        const profileLanguages = Array.isArray(bio.languages)
-            ? bio.languages.map(lang => (lang ? languagesMap.get(lang.$id) : null)).filter(Boolean)
-            : [];
-
-        // --- UNIFIED PROFILE OBJECT CONSTRUCTION ---
-        const profile = {
-            userId: currentProfileUserId,
-            biodata: bio,
-            location: allOtherLocationsRes.documents.find(loc => loc.user && loc.user.$id === currentProfileUserId) || null,
-            images: imagesMap.get(currentProfileUserId) || [], // All 6 images are now in this array
-            hobbies: userHobbyIds.map((hid) => hobbiesMap.get(hid)).filter(Boolean),
-            languages: profileLanguages,
-            prompts: promptsMap.get(currentProfileUserId) || [null, null, null, null, null, null, null]
-        };
+/**
+ * Fetches the next page of the explore feed.
+ * Without a cursor a new feed session is started: every matching candidate is ranked by
+ * compatibility once and the ranking is kept server-side for FEED_SESSION_TTL_MS. Pages are
+ * then served from that snapshot, so they neither skip nor repeat profiles.
+ * Filter overrides only apply when a session starts; later pages keep the session's filters.
+ * @param {string} userId The ID of the current user.
+ * @param {string} [cursor] The `nextCursor` returned with the previous page.
+ * @param {Object} [overrides] Filter overrides from parseExploreFilters.
+ * @returns {Promise<Object>} `{ profiles, nextCursor, appliedFilters }`; nextCursor is null on the last page.
+ */
+const getNextBatchProfiles = async (userId, cursor, overrides = {}) => {
+    const appwrite = new AppwriteService();
 
-        filteredProfiles.push(profile);
+    const blockedUserIds = await getBlockedUserIds(userId);
+
+    let session;
+    let offset = 0;
+    if (cursor) {
+        ({ session, offset } = getFeedSession(userId, cursor));
+    } else {
+        // Earlier pages must be recorded as shown before has-shown is read for the new ranking
+        await flushImpressions(userId);
+        const { entries, appliedFilters } = await buildRankedCandidates(appwrite, userId, overrides, blockedUserIds);
+        session = createFeedSession(userId, entries, appliedFilters);
     }
 
-    // Update has-shown for the profiles actually sent to the client
-    for (const profile of filteredProfiles) {
-        const existingHasShownRes = await appwrite.listDocuments(
-            APPWRITE_HAS_SHOWN_COLLECTION_ID,
-            [
-                Query.equal("user", userId),
-                Query.equal("who", profile.userId),
-            ]
-        );
+    const pageEntries = session.entries.slice(offset, offset + PAGE_SIZE);
+    const nextOffset = offset + pageEntries.length;
+    const nextCursor = nextOffset < session.entries.length ? encodeCursor(session.id, nextOffset) : null;
 
-        if (existingHasShownRes.documents.length === 0) {
-            await appwrite.createDocument(APPWRITE_HAS_SHOWN_COLLECTION_ID, {
-                user: userId,
-                who: profile.userId,
-                is_ignore: false,
-                is_interested: false,
-            });
-        }
+    // Users blocked or restricted since the snapshot was taken are dropped from the page;
+    // a snapshot built by this request has already been checked for restrictions
+    let visibleEntries = pageEntries.filter((entry) => !blockedUserIds.has(entry.userId));
+    if (cursor) {
+        const restrictedUserIds = await getRestrictedUserIds(visibleEntries.map((entry) => entry.userId), appwrite);
+        visibleEntries = visibleEntries.filter((entry) => !restrictedUserIds.has(entry.userId));
     }
 
-    return filteredProfiles;
+    const profiles = await hydrateFeedProfiles(appwrite, visibleEntries);
+
+    // Record has-shown for the profiles actually sent to the client, off the request path
+    recordImpressions(userId, profiles.map((profile) => profile.userId), { defer: true, appwrite });
+
+    return { profiles, nextCursor, appliedFilters: session.appliedFilters };
 };
 
 
@@ -302,7 +321,9 @@ const getRandomProfilesSimple = async (currentUserId, limit = PAGE_SIZE) => {
         return [];
     }
 
-    let connectedUserIds = new Set();
+    // Blocked, banned and suspended users are treated like existing connections
+    let connectedUserIds = await getBlockedUserIds(currentUserId);
+    (await getRestrictedUserIds(candidateUserIds, appwrite)).forEach((id) => connectedUserIds.add(id));
     const connectionsAsSenderRes = await appwrite.listDocuments(
         APPWRITE_CONNECTIONS_COLLECTION_ID, [
         Query.equal("senderId", currentUserId),
@@ -389,154 +410,12 @@ const getRandomProfilesSimple = async (currentUserId, limit = PAGE_SIZE) => {
         .map((bio) => bio.user.$id)
         .filter(Boolean);
 
-    // --- NEW: Fetch all prompts for the selected profiles ---
-    const promptsDocsRes = await appwrite.listDocuments(
-        APPWRITE_PROMPTS_COLLECTION_ID,
-        [Query.equal('user', selectedUserIds), Query.limit(selectedUserIds.length)]
-    );
-    const promptsMap = new Map();
-    promptsDocsRes.documents.forEach(doc => {
-        if (doc.user) {
-            const promptsArray = [];
-            for (let i = 1; i <= 7; i++) {
-                promptsArray.push(doc[`answer_${i}`] || null);
-            }
-            promptsMap.set(doc.user.$id, promptsArray);
-        }
-    });
-
-    // --- FETCH ALL 6 IMAGES ---
-    const locationDocsRes = await appwrite.listDocuments(
-        APPWRITE_LOCATION_COLLECTION_ID,
-        [Query.equal("user", selectedUserIds), Query.limit(limit)]
-    );
-    const locationsMap = new Map();
-    locationDocsRes.documents.forEach((loc) => {
-        if (loc.user) locationsMap.set(loc.user.$id, loc);
-    });
-
-    const imageDocsRes = await appwrite.listDocuments(
-        APPWRITE_IMAGES_COLLECTION_ID,
-        [Query.equal("user", selectedUserIds), Query.limit(limit)]
-    );
-    const imagesMap = new Map();
-    imageDocsRes.documents.forEach((img) => {
-        if (img.user) {
-            const imageUrls = [];
-            for (let i = 1; i <= 6; i++) {
-                if (img[`image_${i}`]) {
-                    imageUrls.push(img[`image_${i}`]);
-                }
-            }
-            imagesMap.set(img.user.$id, imageUrls);
-        }
-    });
+    // 6. Build the full profile cards, keeping the shuffled order
+    const profiles = await buildProfileCards(selectedUserIds, PROFILE_CARD_FIELDS, appwrite);
 
-    // --- NEW: Fetch all languages for mapping ---
-    const uniqueLanguageIds = new Set();
-    selectedBiodataDocs.forEach(bio => {
-        if (Array.isArray(bio.languages)) {
-            bio.languages.forEach(lang => {
-                if (lang && lang.$id) {
-                    uniqueLanguageIds.add(lang.$id);
-                }
-            });
-        }
-    });
-
-    const languagesMap = new Map();
-    if (uniqueLanguageIds.size > 0) {
-        const languagesRes = await appwrite.listDocuments(
-            APPWRITE_LANGUAGES_COLLECTION_ID,
-            [Query.equal('$id', Array.from(uniqueLanguageIds)), Query.limit(uniqueLanguageIds.size)]
-        );
-        languagesRes.documents.forEach(doc => languagesMap.set(doc.$id, doc));
-    }
-
-    // --- Bulletproof hobbies array handling ---
-    // Gather all unique hobby IDs from all selected biodata docs
-    const allHobbyIds = [];
-    selectedBiodataDocs.forEach(bio => {
-        if (Array.isArray(bio.hobbies) && bio.hobbies.length > 0) {
-            for (const h of bio.hobbies) {
-                if (h && h.$id) {
-                    allHobbyIds.push(h.$id);
-                }
-            }
-        }
-    });
-
-    let hobbiesDocsRes = { documents: [] };
-    if (allHobbyIds.length > 0) {
-        hobbiesDocsRes = await appwrite.listDocuments(
-            APPWRITE_HOBBIES_COLLECTION_ID,
-            [Query.equal("$id", allHobbyIds), Query.limit(1000)]
-        );
-    }
-
-    const hobbiesMap = new Map();
-    if (Array.isArray(hobbiesDocsRes.documents)) {
-        hobbiesDocsRes.documents.forEach((hobby) => {
-            if (hobby && hobby.$id) {
-                hobbiesMap.set(hobby.$id, hobby);
-            }
-        });
-    }
-
-    // 7. Construct the final profiles in the desired format
-    const profiles = [];
-    for (const bio of selectedBiodataDocs) {
-        const profileUserId = bio.user.$id;
-        const location = locationsMap.get(profileUserId) || null;
-        const userImages = imagesMap.get(profileUserId) || [];
-
-        // Bulletproof: always produce an array, even if hobbies is missing or not an array
-        let userHobbyIds = [];
-        if (Array.isArray(bio.hobbies) && bio.hobbies.length > 0) {
-            userHobbyIds = bio.hobbies
-                .map((h) => (h && h.$id ? h.$id : null))
-                .filter(Boolean);
-        }
-
-        const profileLanguages = Array.isArray(bio.languages)
-            ? bio.languages.map(lang => (lang ? languagesMap.get(lang.$id) : null)).filter(Boolean)
-            : [];
-
-        // --- UNIFIED PROFILE OBJECT CONSTRUCTION ---
-        const profile = {
-            userId: profileUserId,
-            biodata: bio,
-            location: location,
-            images: userImages, // All 6 images are now in this array
-            hobbies: Array.isArray(userHobbyIds) && userHobbyIds.length > 0
-                ? userHobbyIds.map((hid) => hobbiesMap.get(hid)).filter(Boolean)
-                : [],
-            languages: profileLanguages,
-            prompts: promptsMap.get(profileUserId) || [null, null, null, null, null, null, null]
-        };
-
-        profiles.push(profile);
-    }
-
-    // 8. Update has-shown for the profiles actually returned
-    for (const profile of profiles) {
-        console.log(profile);
-        const existingHasShownRes = await appwrite.listDocuments(
-            APPWRITE_HAS_SHOWN_COLLECTION_ID,
-            [Query.equal("user", currentUserId), Query.equal("who", profile.userId)]
-        );
-
-        if (existingHasShownRes.documents.length === 0) {
-            await appwrite.createDocument(APPWRITE_HAS_SHOWN_COLLECTION_ID, {
-                user: currentUserId,
-                who: profile.userId,
-                is_ignore: false,
-                is_interested: false,
-            });
-        }
-    }
+    // 8. Record has-shown for the profiles actually returned, off the request path
+    recordImpressions(currentUserId, profiles.map((profile) => profile.userId), { defer: true, appwrite });
 
-    console.log(profiles);
     return profiles;
 };
 
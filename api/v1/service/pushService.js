@@ -0,0 +1,156 @@
+// api/v1/service/pushService.js
+// Dispatches push notifications to the device targets registered for a specific user.
+
+const { ID, MessagingProviderType, MessagePriority } = require('node-appwrite');
+const { messaging, users, FCM_PROVIDER_ID } = require('../appwrite/appwriteConstants');
+
+/**
+ * Default transport backed by Appwrite Users (targets) and Messaging (delivery).
+ * Any object exposing the same four methods can be swapped in with setPushTransport,
+ * e.g. a fake provider that records calls.
+ */
+const appwriteTransport = {
+    async listTargets(userId) {
+        const res = await users.listTargets(userId);
+        return res.targets;
+    },
+
+    async createTarget(userId, identifier, name) {
+        return await users.createTarget(
+            userId,
+            ID.unique(),
+            MessagingProviderType.Push,
+            identifier,
+            FCM_PROVIDER_ID,
+            name
+        );
+    },
+
+    async deleteTarget(userId, targetId) {
+        return await users.deleteTarget(userId, targetId);
+    },
+
+    async send({ targetIds, title, body, data, priority }) {
+        return await messaging.createPush(
+            ID.unique(), // messageId
+            title,
+            body,
+            [],          // topics
+            [],          // users
+            targetIds,   // targets
+            data,
+            undefined, // action
+            undefined, // image
+            undefined, // icon
+            undefined, // sound
+            undefined, // color
+            undefined, // tag
+            undefined, // badge
+            false,     // draft
+            undefined, // scheduledAt
+            false,     // contentAvailable
+            false,     // critical
+            priority
+        );
+    },
+};
+
+let transport = appwriteTransport;
+
+/**
+ * Replaces the transport used to register targets and deliver pushes.
+ * @param {Object} newTransport An object with listTargets, createTarget, deleteTarget and send.
+ */
+const setPushTransport = (newTransport) => {
+    transport = newTransport || appwriteTransport;
+};
+
+/**
+ * Lists the FCM push targets registered for a user.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Array>} The user's push targets on the configured FCM provider.
+ */
+const getPushTargets = async (userId) => {
+    const targets = await transport.listTargets(userId);
+    return targets.filter((target) =>
+        target.providerType === MessagingProviderType.Push &&
+        (!FCM_PROVIDER_ID || target.providerId === FCM_PROVIDER_ID)
+    );
+};
+
+/**
+ * Registers a device token as a push target for a user. Re-registering the same token is a no-op.
+ * @param {string} userId The ID of the user.
+ * @param {string} deviceToken The FCM registration token of the device.
+ * @param {string} [name] Optional device name.
+ * @returns {Promise<Object>} The (new or existing) target.
+ */
+const registerDeviceTarget = async (userId, deviceToken, name) => {
+    if (!FCM_PROVIDER_ID) {
+        const error = new Error('Push notifications are not configured.');
+        error.code = 503;
+        throw error;
+    }
+
+    const existingTargets = await getPushTargets(userId);
+    const existing = existingTargets.find((target) => target.identifier === deviceToken);
+    if (existing) return existing;
+
+    return await transport.createTarget(userId, deviceToken, name);
+};
+
+/**
+ * Removes one of the user's push targets (e.g. on logout).
+ * @param {string} userId The ID of the user.
+ * @param {string} targetId The ID of the target to remove.
+ * @returns {Promise<Object>} Success status.
+ */
+const unregisterDeviceTarget = async (userId, targetId) => {
+    const existingTargets = await getPushTargets(userId);
+    if (!existingTargets.some((target) => target.$id === targetId)) {
+        const error = new Error('Push target not found');
+        error.code = 404;
+        throw error;
+    }
+
+    await transport.deleteTarget(userId, targetId);
+    return { success: true };
+};
+
+/**
+ * Sends a push notification to every device registered by one user.
+ * Failures are logged and never thrown, so callers can fire-and-forget.
+ * @param {string} userId The ID of the receiving user.
+ * @param {Object} notification `{ title, body, data, priority }`.
+ * @returns {Promise<Object>} `{ sent, targetCount }`.
+ */
+const sendPushToUser = async (userId, { title, body, data = {}, priority = MessagePriority.Normal }) => {
+    try {
+        const targets = await getPushTargets(userId);
+        if (!targets.length) {
+            return { sent: false, targetCount: 0 };
+        }
+
+        await transport.send({
+            targetIds: targets.map((target) => target.$id),
+            title,
+            body,
+            data,
+            priority,
+        });
+
+        console.log(`Push notification '${data.type || title}' sent to ${targets.length} target(s) of user ${userId}.`);
+        return { sent: true, targetCount: targets.length };
+    } catch (pushError) {
+        console.error(`Failed to send push notification to user ${userId}:`, pushError.message);
+        return { sent: false, targetCount: 0 };
+    }
+};
+
+module.exports = {
+    setPushTransport,
+    getPushTargets,
+    registerDeviceTarget,
+    unregisterDeviceTarget,
+    sendPushToUser,
+};
@@ -0,0 +1,92 @@
+// api/v1/service/realtimeService.js
+// In-memory Server-Sent Events hub for pushing chat events to connected clients.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// userId -> Set of { res, connectionId } subscriptions
+const subscribers = new Map();
+
+/**
+ * Writes a single SSE frame to a response.
+ * @param {Object} res The Express response.
+ * @param {string} event The event name.
+ * @param {Object} data The JSON-serialisable event payload.
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Opens an SSE stream for a user. The stream stays open until the client disconnects.
+ * @param {string} userId The ID of the authenticated user.
+ * @param {Object} req The Express request.
+ * @param {Object} res The Express response.
+ * @param {string|null} [connectionId] Restrict the stream to a single chat connection.
+ */
+const openEventStream = (userId, req, res, connectionId = null) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+
+  const subscription = { res, connectionId };
+  if (!subscribers.has(userId)) subscribers.set(userId, new Set());
+  subscribers.get(userId).add(subscription);
+
+  writeEvent(res, "ready", { connectionId });
+
+  // Comment frames keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    const userSubscriptions = subscribers.get(userId);
+    if (!userSubscriptions) return;
+    userSubscriptions.delete(subscription);
+    if (!userSubscriptions.size) subscribers.delete(userId);
+  });
+};
+
+/**
+ * Publishes an event to every open stream of the given users that covers the connection.
+ * @param {Array<string>} userIds The IDs of the users to notify.
+ * @param {string} connectionId The chat connection the event belongs to.
+ * @param {string} event The event name (e.g. 'message', 'date_proposal', 'chat_removed').
+ * @param {Object} data The event payload.
+ * @param {Object} [options] `{ closeConnectionStreams }` ends single-chat streams after sending.
+ */
+const publishChatEvent = (userIds, connectionId, event, data, options = {}) => {
+  for (const userId of userIds) {
+    const userSubscriptions = subscribers.get(userId);
+    if (!userSubscriptions) continue;
+
+    for (const subscription of userSubscriptions) {
+      if (subscription.connectionId && subscription.connectionId !== connectionId) continue;
+
+      try {
+        writeEvent(subscription.res, event, { connectionId, ...data });
+        if (options.closeConnectionStreams && subscription.connectionId) {
+          subscription.res.end();
+        }
+      } catch (err) {
+        console.error(`Failed to publish '${event}' to user ${userId}:`, err.message);
+      }
+    }
+  }
+};
+
+/**
+ * Returns whether the user currently has at least one open stream.
+ * @param {string} userId The ID of the user.
+ * @returns {boolean}
+ */
+const hasOpenStream = (userId) => subscribers.has(userId);
+
+module.exports = {
+  openEventStream,
+  publishChatEvent,
+  hasOpenStream,
+};
@@ -0,0 +1,304 @@
+// api/v1/service/reportService.js
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const {
+    APPWRITE_USERS_COLLECTION_ID,
+    APPWRITE_CONNECTIONS_COLLECTION_ID,
+    APPWRITE_MESSAGES_COLLECTION_ID,
+    APPWRITE_REPORTS_COLLECTION_ID,
+} = require('../appwrite/appwriteConstants');
+const {
+    REPORT_REASONS,
+    REPORT_DETAILS_MAX_LENGTH,
+    REPORT_RESOLUTION_ACTIONS,
+    DEFAULT_SUSPENSION_DAYS,
+    MAX_SUSPENSION_DAYS,
+} = require('../constants/moderation');
+const { listDocumentsByIds } = require('./profileCardService');
+
+const REPORTS_PAGE_SIZE = 25;
+
+/**
+ * Works out whether a user document is currently barred from using the app.
+ * @param {Object|null} userDoc The user's document from the users collection.
+ * @returns {Object|null} `{ status, until }` when the account is banned or suspended, otherwise null.
+ */
+const getAccountRestriction = (userDoc) => {
+    if (!userDoc) return null;
+
+    if (userDoc.moderationStatus === 'banned') {
+        return { status: 'banned', until: null };
+    }
+
+    if (
+        userDoc.moderationStatus === 'suspended' &&
+        userDoc.suspendedUntil &&
+        new Date(userDoc.suspendedUntil).getTime() > Date.now()
+    ) {
+        return { status: 'suspended', until: userDoc.suspendedUntil };
+    }
+
+    return null;
+};
+
+/**
+ * Returns which of the given users are currently banned or suspended.
+ * Only the given users are looked up, so the cost follows the candidate list rather than
+ * the number of restricted accounts.
+ * @param {Array<string>} userIds The IDs of the users to check.
+ * @param {AppwriteService} [appwrite] The Appwrite service instance to reuse.
+ * @returns {Promise<Set<string>>} The restricted IDs among userIds.
+ */
+const getRestrictedUserIds = async (userIds, appwrite = new AppwriteService()) => {
+    const restrictedUserIds = new Set();
+    if (!userIds.length) return restrictedUserIds;
+
+    (await listDocumentsByIds(appwrite, APPWRITE_USERS_COLLECTION_ID, '$id', [...new Set(userIds)], [
+        appwrite.query.equal('moderationStatus', ['banned', 'suspended']),
+    ])).forEach((doc) => {
+        if (getAccountRestriction(doc)) restrictedUserIds.add(doc.$id);
+    });
+
+    return restrictedUserIds;
+};
+
+/**
+ * Files a report against another user.
+ * @param {string} reporterUserId The ID of the user filing the report.
+ * @param {string} reportedUserId The ID of the user being reported.
+ * @param {Object} reportDetails `{ reason, details, messageId, connectionId }`.
+ * @returns {Promise<Object>} The created report document.
+ */
+const reportUser = async (reporterUserId, reportedUserId, reportDetails) => {
+    const appwrite = new AppwriteService();
+    const { reason, details, messageId, connectionId } = reportDetails;
+
+    if (reporterUserId === reportedUserId) {
+        const error = new Error('You cannot report yourself.');
+        error.code = 400;
+        throw error;
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+        const error = new Error(`Invalid reason. Must be one of: ${REPORT_REASONS.join(', ')}.`);
+        error.code = 400;
+        throw error;
+    }
+
+    if (details !== undefined && details !== null && typeof details !== 'string') {
+        const error = new Error('Report details must be a string.');
+        error.code = 400;
+        throw error;
+    }
+
+    if (details && details.length > REPORT_DETAILS_MAX_LENGTH) {
+        const error = new Error(`Report details must be at most ${REPORT_DETAILS_MAX_LENGTH} characters.`);
+        error.code = 400;
+        throw error;
+    }
+
+    try {
+        await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, reportedUserId);
+    } catch (err) {
+        const error = new Error('User not found');
+        error.code = 404;
+        throw error;
+    }
+
+    // A referenced connection must be between the reporter and the reported user
+    if (connectionId) {
+        let connectionDoc = null;
+        try {
+            connectionDoc = await appwrite.getDocument(APPWRITE_CONNECTIONS_COLLECTION_ID, connectionId);
+        } catch (err) {
+            console.warn(`Connection ${connectionId} not found while filing report: ${err.message}`);
+        }
+
+        const participants = [connectionDoc?.senderId?.$id, connectionDoc?.receiverId?.$id];
+        if (!participants.includes(reporterUserId) || !participants.includes(reportedUserId)) {
+            const error = new Error('Referenced connection does not belong to you and the reported user.');
+            error.code = 400;
+            throw error;
+        }
+    }
+
+    // A referenced message must have been sent by the reported user
+    if (messageId) {
+        let messageDoc = null;
+        try {
+            messageDoc = await appwrite.getDocument(APPWRITE_MESSAGES_COLLECTION_ID, messageId);
+        } catch (err) {
+            console.warn(`Message ${messageId} not found while filing report: ${err.message}`);
+        }
+
+        const messageSenderId = messageDoc?.senderId?.$id || messageDoc?.senderId;
+        const messageConnectionId = messageDoc?.connectionId?.$id || messageDoc?.connectionId;
+        if (!messageDoc || messageSenderId !== reportedUserId) {
+            const error = new Error('Referenced message was not sent by the reported user.');
+            error.code = 400;
+            throw error;
+        }
+        if (connectionId && messageConnectionId !== connectionId) {
+            const error = new Error('Referenced message does not belong to the referenced connection.');
+            error.code = 400;
+            throw error;
+        }
+    }
+
+    const existingOpenReportRes = await appwrite.listDocuments(
+        APPWRITE_REPORTS_COLLECTION_ID,
+        [
+            appwrite.query.equal('reporterId', reporterUserId),
+            appwrite.query.equal('reportedUserId', reportedUserId),
+            appwrite.query.equal('status', 'open'),
+            appwrite.query.limit(1),
+        ]
+    );
+    if (existingOpenReportRes.documents.length > 0) {
+        const error = new Error('You already have an open report against this user.');
+        error.code = 409;
+        throw error;
+    }
+
+    return await appwrite.createDocument(APPWRITE_REPORTS_COLLECTION_ID, {
+        reporterId: reporterUserId,
+        reportedUserId: reportedUserId,
+        reason: reason,
+        details: details || null,
+        messageId: messageId || null,
+        connectionId: connectionId || null,
+        status: 'open',
+    });
+};
+
+/**
+ * Lists reports for the moderation queue, newest first.
+ * @param {Object} filters `{ status, reason, reportedUserId, reporterId, cursor, limit }`.
+ * @returns {Promise<Object>} `{ reports, total, nextCursor }`.
+ */
+const listReports = async (filters = {}) => {
+    const appwrite = new AppwriteService();
+    const limit = Math.min(Math.max(parseInt(filters.limit) || REPORTS_PAGE_SIZE, 1), 100);
+
+    const queries = [
+        appwrite.query.orderDesc('$createdAt'),
+        appwrite.query.limit(limit),
+    ];
+    if (filters.status) queries.push(appwrite.query.equal('status', filters.status));
+    if (filters.reason) queries.push(appwrite.query.equal('reason', filters.reason));
+    if (filters.reportedUserId) queries.push(appwrite.query.equal('reportedUserId', filters.reportedUserId));
+    if (filters.reporterId) queries.push(appwrite.query.equal('reporterId', filters.reporterId));
+    if (filters.cursor) queries.push(appwrite.query.cursorAfter(filters.cursor));
+
+    const reportsRes = await appwrite.listDocuments(APPWRITE_REPORTS_COLLECTION_ID, queries);
+    const reports = reportsRes.documents;
+
+    return {
+        reports,
+        total: reportsRes.total,
+        nextCursor: reports.length === limit ? reports[reports.length - 1].$id : null,
+    };
+};
+
+/**
+ * Resolves an open report and applies the chosen action to the reported user.
+ * @param {string} adminUserId The ID of the moderator resolving the report.
+ * @param {string} reportId The ID of the report document.
+ * @param {Object} resolution `{ action, note, suspensionDays }` where action is one of REPORT_RESOLUTION_ACTIONS.
+ * @returns {Promise<Object>} The updated report and the reported user's moderation status.
+ */
+const resolveReport = async (adminUserId, reportId, resolution) => {
+    const appwrite = new AppwriteService();
+    const { action, note } = resolution;
+
+    if (!REPORT_RESOLUTION_ACTIONS.includes(action)) {
+        const error = new Error(`Invalid action. Must be one of: ${REPORT_RESOLUTION_ACTIONS.join(', ')}.`);
+        error.code = 400;
+        throw error;
+    }
+
+    let suspensionDays = DEFAULT_SUSPENSION_DAYS;
+    if (action === 'suspend' && resolution.suspensionDays !== undefined) {
+        suspensionDays = parseInt(resolution.suspensionDays);
+        if (isNaN(suspensionDays) || suspensionDays < 1 || suspensionDays > MAX_SUSPENSION_DAYS) {
+            const error = new Error(`suspensionDays must be between 1 and ${MAX_SUSPENSION_DAYS}.`);
+            error.code = 400;
+            throw error;
+        }
+    }
+
+    const reportDoc = await appwrite.getDocument(APPWRITE_REPORTS_COLLECTION_ID, reportId);
+    if (reportDoc.status !== 'open') {
+        const error = new Error('Report has already been resolved.');
+        error.code = 409;
+        throw error;
+    }
+
+    const reportedUserId = reportDoc.reportedUserId?.$id;
+    if (!reportedUserId) throw new Error('Reported user missing in report');
+
+    const reportedUserDoc = await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, reportedUserId);
+    const moderationReason = note || reportDoc.reason;
+
+    let userUpdate = null;
+    switch (action) {
+        case 'warn':
+            userUpdate = {
+                warningCount: (reportedUserDoc.warningCount || 0) + 1,
+                moderationReason: moderationReason,
+            };
+            // A warning never downgrades an existing suspension or ban
+            if (!getAccountRestriction(reportedUserDoc)) {
+                userUpdate.moderationStatus = 'warned';
+            }
+            break;
+        case 'suspend':
+            userUpdate = { moderationReason: moderationReason };
+            // A suspension never replaces a ban, or the user would be unbanned when it expires
+            if (reportedUserDoc.moderationStatus !== 'banned') {
+                userUpdate.moderationStatus = 'suspended';
+                userUpdate.suspendedUntil = new Date(Date.now() + suspensionDays * 24 * 60 * 60 * 1000).toISOString();
+            }
+            break;
+        case 'ban':
+            userUpdate = {
+                moderationStatus: 'banned',
+                suspendedUntil: null,
+                moderationReason: moderationReason,
+            };
+            break;
+        default:
+            break;
+    }
+
+    let updatedUser = reportedUserDoc;
+    if (userUpdate) {
+        updatedUser = await appwrite.updateDocument(APPWRITE_USERS_COLLECTION_ID, reportedUserId, userUpdate);
+    }
+
+    const updatedReport = await appwrite.updateDocument(
+        APPWRITE_REPORTS_COLLECTION_ID,
+        reportId,
+        {
+            status: action === 'dismiss' ? 'dismissed' : 'resolved',
+            action: action,
+            resolutionNote: note || null,
+            resolvedBy: adminUserId,
+            resolvedAt: new Date().toISOString(),
+        }
+    );
+
+    return {
+        report: updatedReport,
+        moderationStatus: updatedUser.moderationStatus || 'active',
+        suspendedUntil: updatedUser.suspendedUntil || null,
+    };
+};
+
+module.exports = {
+    reportUser,
+    listReports,
+    resolveReport,
+    getAccountRestriction,
+    getRestrictedUserIds,
+};
@@ -0,0 +1,152 @@
+// api/v1/service/swipeService.js
+// Records explicit like / pass decisions from explore in the has-shown collection.
+//
+// A swipe sets `is_interested` (like) or `is_ignore` (pass) on the swiper's has-shown
+// document for the target and stamps `swiped_at`. The users document keeps `lastSwipeId`,
+// the has-shown document of the most recent swipe, so it can be undone.
+
+const { AppwriteService } = require('../appwrite/appwriteService');
+const {
+    APPWRITE_USERS_COLLECTION_ID,
+    APPWRITE_HAS_SHOWN_COLLECTION_ID,
+} = require('../appwrite/appwriteConstants');
+const { isBlockedBetween } = require('./blockService');
+const { getAccountRestriction } = require('./reportService');
+const { matchIfMutual, getOpenConnectionBetween } = require('./matchService');
+const { isExpiredPass, listAllHasShown, flushImpressions } = require('./impressionService');
+
+const SWIPE_ACTIONS = ['like', 'pass'];
+
+/**
+ * Loads the IDs of users that must not appear in a user's explore feed again:
+ * everyone already shown, except passes whose cooldown has run out.
+ * @param {AppwriteService} appwrite The Appwrite service instance.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Set<string>>}
+ */
+const getHiddenUserIds = async (appwrite, userId) => {
+    const hiddenUserIds = new Set();
+    const now = Date.now();
+
+    const documents = await listAllHasShown(appwrite, [
+        appwrite.query.equal('user', userId),
+        appwrite.query.orderAsc('$id'),
+    ]);
+    for (const doc of documents) {
+        if (doc.who && !isExpiredPass(doc, now)) hiddenUserIds.add(doc.who.$id);
+    }
+
+    return hiddenUserIds;
+};
+
+/**
+ * Records a like or pass on another user's profile.
+ * @param {string} userId The ID of the user swiping.
+ * @param {string} targetUserId The ID of the profile being swiped.
+ * @param {string} action 'like' or 'pass'.
+ * @returns {Promise<Object>} `{ action, targetUserId, swipedAt, match }`; match is
+ * `{ connectionId, status }` when a like was mutual, otherwise null.
+ */
+const recordSwipe = async (userId, targetUserId, action) => {
+    if (!SWIPE_ACTIONS.includes(action)) {
+        const error = new Error(`Invalid swipe action. Must be one of: ${SWIPE_ACTIONS.join(', ')}.`);
+        error.code = 400;
+        throw error;
+    }
+    if (userId === targetUserId) {
+        const error = new Error('You cannot swipe on your own profile');
+        error.code = 400;
+        throw error;
+    }
+
+    const appwrite = new AppwriteService();
+
+    const targetUser = await appwrite.getDocumentByRelation(APPWRITE_USERS_COLLECTION_ID, '$id', targetUserId);
+    // Banned and suspended users cannot be swiped on, as if they did not exist
+    if (!targetUser || getAccountRestriction(targetUser)) {
+        const error = new Error('User not found');
+        error.code = 404;
+        throw error;
+    }
+    if (await isBlockedBetween(userId, targetUserId)) {
+        const error = new Error('You cannot swipe on this user');
+        error.code = 403;
+        throw error;
+    }
+
+    // A queued impression write for this profile must land first, or it would create a second document
+    await flushImpressions(userId);
+
+    const swipedAt = new Date().toISOString();
+    const fields = {
+        is_interested: action === 'like',
+        is_ignore: action === 'pass',
+        swiped_at: swipedAt,
+    };
+
+    const existingRes = await appwrite.listDocuments(APPWRITE_HAS_SHOWN_COLLECTION_ID, [
+        appwrite.query.equal('user', userId),
+        appwrite.query.equal('who', targetUserId),
+        appwrite.query.limit(1),
+    ]);
+    const hasShownDoc = existingRes.documents.length
+        ? await appwrite.updateDocument(APPWRITE_HAS_SHOWN_COLLECTION_ID, existingRes.documents[0].$id, fields)
+        : await appwrite.createDocument(APPWRITE_HAS_SHOWN_COLLECTION_ID, { user: userId, who: targetUserId, ...fields });
+
+    await appwrite.updateDocument(APPWRITE_USERS_COLLECTION_ID, userId, { lastSwipeId: hasShownDoc.$id });
+
+    // A like completes a match when the other user already liked back
+    const match = action === 'like' ? await matchIfMutual(userId, targetUserId) : null;
+
+    return { action, targetUserId, swipedAt, match };
+};
+
+/**
+ * Undoes the user's most recent swipe. The profile counts as shown but undecided again.
+ * Only the latest swipe can be undone, and only once. A like that led to a match cannot be undone.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object>} `{ action, targetUserId }` of the undone swipe.
+ */
+const undoLastSwipe = async (userId) => {
+    const appwrite = new AppwriteService();
+
+    const user = await appwrite.getDocument(APPWRITE_USERS_COLLECTION_ID, userId);
+    let hasShownDoc = null;
+    if (user.lastSwipeId) {
+        try {
+            hasShownDoc = await appwrite.getDocument(APPWRITE_HAS_SHOWN_COLLECTION_ID, user.lastSwipeId);
+        } catch (err) {
+            if (err.code !== 404) throw err;
+        }
+    }
+
+    if (!hasShownDoc || !hasShownDoc.swiped_at) {
+        const error = new Error('There is no swipe to undo');
+        error.code = 404;
+        throw error;
+    }
+
+    const action = hasShownDoc.is_interested ? 'like' : 'pass';
+    const targetUserId = hasShownDoc.who ? hasShownDoc.who.$id : null;
+
+    if (action === 'like' && targetUserId && await getOpenConnectionBetween(appwrite, userId, targetUserId)) {
+        const error = new Error('This like already led to a match and cannot be undone');
+        error.code = 409;
+        throw error;
+    }
+
+    await appwrite.updateDocument(APPWRITE_HAS_SHOWN_COLLECTION_ID, hasShownDoc.$id, {
+        is_interested: false,
+        is_ignore: false,
+        swiped_at: null,
+    });
+    await appwrite.updateDocument(APPWRITE_USERS_COLLECTION_ID, userId, { lastSwipeId: null });
+
+    return { action, targetUserId };
+};
+
+module.exports = {
+    getHiddenUserIds,
+    recordSwipe,
+    undoLastSwipe,
+};
@@ -0,0 +1,101 @@
+// api/v1/utils/compatibility.js
+
+const {
+  DISTANCE_WEIGHT,
+  HOBBIES_WEIGHT,
+  LANGUAGES_WEIGHT,
+  PROMPTS_WEIGHT,
+  ACTIVITY_WEIGHT,
+  DEFAULT_SCORING_DISTANCE_KM,
+  HOBBIES_FOR_FULL_SCORE,
+  LANGUAGES_FOR_FULL_SCORE,
+} = require("../constants/compatibilityWeights");
+const { PROMPT_COUNT } = require("../constants/profileLimits");
+const { DAY_MS } = require("../constants/time");
+
+function clamp01(x) {
+  return Math.max(0, Math.min(1, x));
+}
+
+// Share of the factor earned for how recently the candidate was active
+function activityFactor(lastActiveAt, now) {
+  if (!lastActiveAt) return 0;
+  const age = now - new Date(lastActiveAt).getTime();
+  if (isNaN(age)) return 0;
+  if (age <= DAY_MS) return 1;
+  if (age <= 7 * DAY_MS) return 0.6;
+  if (age <= 30 * DAY_MS) return 0.25;
+  return 0;
+}
+
+/**
+ * Scores how well a candidate fits a viewer.
+ *
+ * @param {Object} viewer { hobbyIds: string[], languageIds: string[], maxDistanceKm?: number }
+ * @param {Object} candidate {
+ *   distanceKm?: number,
+ *   hobbies: {$id, name?}[], languages: {$id, name?}[],
+ *   prompts: (string|null)[], lastActiveAt?: string
+ * }
+ * @returns {{ score: number, factors: Object, reasons: string[] }}
+ *   score is 0-100; factors holds the points earned per factor; reasons are short
+ *   "why you matched" lines, strongest first.
+ */
+function scoreCompatibility(viewer, candidate, now = Date.now()) {
+  const viewerHobbies = new Set(viewer.hobbyIds || []);
+  const viewerLanguages = new Set(viewer.languageIds || []);
+
+  const sharedHobbies = (candidate.hobbies || []).filter((h) => h && viewerHobbies.has(h.$id));
+  const sharedLanguages = (candidate.languages || []).filter((l) => l && viewerLanguages.has(l.$id));
+  const answeredPrompts = (candidate.prompts || []).filter((p) => p && String(p).trim()).length;
+
+  const maxDistance = viewer.maxDistanceKm || DEFAULT_SCORING_DISTANCE_KM;
+  const hasDistance = typeof candidate.distanceKm === "number" && !isNaN(candidate.distanceKm);
+
+  const factors = {
+    distance: hasDistance ? DISTANCE_WEIGHT * clamp01(1 - candidate.distanceKm / maxDistance) : 0,
+    hobbies: HOBBIES_WEIGHT * clamp01(sharedHobbies.length / HOBBIES_FOR_FULL_SCORE),
+    languages: LANGUAGES_WEIGHT * clamp01(sharedLanguages.length / LANGUAGES_FOR_FULL_SCORE),
+    prompts: PROMPTS_WEIGHT * clamp01(answeredPrompts / PROMPT_COUNT),
+    activity: ACTIVITY_WEIGHT * activityFactor(candidate.lastActiveAt, now),
+  };
+  Object.keys(factors).forEach((k) => {
+    factors[k] = Math.round(factors[k] * 10) / 10;
+  });
+
+  const score = Math.round(Object.values(factors).reduce((sum, v) => sum + v, 0));
+
+  const reasons = [];
+  const names = (docs) => docs.map((d) => d.name).filter(Boolean).slice(0, 3).join(", ");
+  if (sharedHobbies.length) {
+    const list = names(sharedHobbies);
+    reasons.push({
+      points: factors.hobbies,
+      text: `${sharedHobbies.length} shared ${sharedHobbies.length === 1 ? "hobby" : "hobbies"}${list ? `: ${list}` : ""}`,
+    });
+  }
+  if (hasDistance) {
+    reasons.push({
+      points: factors.distance,
+      text: candidate.distanceKm < 1 ? "Less than 1 km away" : `${Math.round(candidate.distanceKm)} km away`,
+    });
+  }
+  if (sharedLanguages.length) {
+    const list = names(sharedLanguages);
+    reasons.push({ points: factors.languages, text: `Speaks ${list || `${sharedLanguages.length} of your languages`}` });
+  }
+  if (factors.activity >= ACTIVITY_WEIGHT) {
+    reasons.push({ points: factors.activity, text: "Active today" });
+  }
+  if (answeredPrompts === PROMPT_COUNT) {
+    reasons.push({ points: factors.prompts, text: "Answered every prompt" });
+  }
+
+  return {
+    score,
+    factors,
+    reasons: reasons.sort((a, b) => b.points - a.points).map((r) => r.text),
+  };
+}
+
+module.exports = { scoreCompatibility };
@@ -0,0 +1,110 @@
+// api/v1/utils/exploreFilters.js
+
+const {
+  MIN_AGE,
+  MAX_AGE,
+  MIN_DISTANCE_KM,
+  MAX_DISTANCE_KM,
+} = require("../constants/preferenceLimits");
+const { PROFILE_PHOTO_SLOTS } = require("../constants/imageLimits");
+const { badRequest, validateGender } = require("./validation");
+
+const MAX_ACTIVE_WITHIN_DAYS = 365;
+
+function isMissing(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function parseInteger(value, name, min, max) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw badRequest(`${name} must be a whole number between ${min} and ${max}.`);
+  }
+  return parsed;
+}
+
+function parseIdList(value) {
+  return String(value).split(",").map((id) => id.trim()).filter(Boolean);
+}
+
+function parseBoolean(value, name) {
+  if (value === true || value === "true" || value === "1") return true;
+  if (value === false || value === "false" || value === "0") return false;
+  throw badRequest(`${name} must be true or false.`);
+}
+
+/**
+ * Parses explore filter overrides from a request query string.
+ * Only the filters present in the query are returned.
+ *
+ * Supported: minAge, maxAge, gender, hobbies (comma-separated IDs), maxDistanceKm,
+ * languages (comma-separated IDs), hasPrompts, minPhotos, activeWithinDays.
+ *
+ * @param {Object} query The request query.
+ * @param {Array<string>|null} [genderOptions] Allowed genders, from getGenderOptions.
+ * @returns {Object} The overrides.
+ */
+function parseExploreFilters(query = {}, genderOptions = null) {
+  const overrides = {};
+
+  if (!isMissing(query.minAge)) overrides.minAge = parseInteger(query.minAge, "minAge", MIN_AGE, MAX_AGE);
+  if (!isMissing(query.maxAge)) overrides.maxAge = parseInteger(query.maxAge, "maxAge", MIN_AGE, MAX_AGE);
+  if (!isMissing(query.gender)) overrides.gender = validateGender(query.gender, "gender", genderOptions);
+  if (!isMissing(query.hobbies)) overrides.hobbies = parseIdList(query.hobbies);
+  if (!isMissing(query.maxDistanceKm)) {
+    overrides.maxDistanceKm = parseInteger(query.maxDistanceKm, "maxDistanceKm", MIN_DISTANCE_KM, MAX_DISTANCE_KM);
+  }
+  if (!isMissing(query.languages)) overrides.languages = parseIdList(query.languages);
+  if (!isMissing(query.hasPrompts)) overrides.hasPrompts = parseBoolean(query.hasPrompts, "hasPrompts");
+  if (!isMissing(query.minPhotos)) overrides.minPhotos = parseInteger(query.minPhotos, "minPhotos", 1, PROFILE_PHOTO_SLOTS);
+  if (!isMissing(query.activeWithinDays)) {
+    overrides.activeWithinDays = parseInteger(query.activeWithinDays, "activeWithinDays", 1, MAX_ACTIVE_WITHIN_DAYS);
+  }
+
+  return overrides;
+}
+
+/**
+ * Combines the stored preference document with per-request overrides.
+ * An override replaces the stored value for that field only.
+ *
+ * @param {Object} preference The user's preference document.
+ * @param {Object} overrides The result of parseExploreFilters.
+ * @returns {{ filters: Object, applied: Array<Object> }}
+ *   filters holds the effective value of every filter (null when unused); applied lists the
+ *   active ones as { key, value, source } with source "override" or "preference".
+ */
+function resolveExploreFilters(preference, overrides = {}) {
+  const stored = {
+    minAge: preference.min_age ?? null,
+    maxAge: preference.max_age ?? null,
+    gender: preference.preferred_gender || null,
+    hobbies: Array.isArray(preference.preferred_hobbies)
+      ? preference.preferred_hobbies.map((h) => (h ? h.$id : null)).filter(Boolean)
+      : [],
+    maxDistanceKm: preference.max_distance_km || null,
+    languages: [],
+    hasPrompts: false,
+    minPhotos: null,
+    activeWithinDays: null,
+  };
+
+  const filters = { ...stored, ...overrides };
+  if (filters.minAge !== null && filters.maxAge !== null && filters.minAge > filters.maxAge) {
+    throw badRequest("minAge cannot be greater than maxAge.");
+  }
+
+  const applied = [];
+  for (const [key, value] of Object.entries(filters)) {
+    const active = Array.isArray(value) ? value.length > 0 : value !== null && value !== false;
+    if (!active) continue;
+    applied.push({ key, value, source: key in overrides ? "override" : "preference" });
+  }
+
+  return { filters, applied };
+}
+
+module.exports = {
+  parseExploreFilters,
+  resolveExploreFilters,
+};
@@ -0,0 +1,110 @@
+// api/v1/utils/geohash.js
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Precision stored on location documents (~5m cells)
+const GEOHASH_PRECISION = 9;
+// Finest prefix length used for radius queries (~1.2km x 0.6km cells)
+const MAX_QUERY_PRECISION = 6;
+
+function toRad(x) {
+  return (x * Math.PI) / 180;
+}
+
+function encode(lat, lon, precision = GEOHASH_PRECISION) {
+  let latMin = -90, latMax = 90;
+  let lonMin = -180, lonMax = 180;
+  let hash = "";
+  let bit = 0;
+  let ch = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lonMin + lonMax) / 2;
+      if (lon >= mid) {
+        ch = ch * 2 + 1;
+        lonMin = mid;
+      } else {
+        ch = ch * 2;
+        lonMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (lat >= mid) {
+        ch = ch * 2 + 1;
+        latMin = mid;
+      } else {
+        ch = ch * 2;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bit === 5) {
+      hash += BASE32[ch];
+      bit = 0;
+      ch = 0;
+    }
+  }
+
+  return hash;
+}
+
+// Size in degrees of a geohash cell at the given precision
+function cellSize(precision) {
+  const bits = precision * 5;
+  const lonBits = Math.ceil(bits / 2);
+  const latBits = Math.floor(bits / 2);
+  return {
+    cellLat: 180 / Math.pow(2, latBits),
+    cellLon: 360 / Math.pow(2, lonBits),
+  };
+}
+
+/**
+ * Finds the geohash cells that together cover a circle, using the finest
+ * precision that needs no more than maxCells cells.
+ * Returns an empty list when the circle is too large to be worth filtering.
+ */
+function cellsCoveringRadius(lat, lon, radiusKm, maxCells = 16) {
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const cosLat = Math.cos(toRad(lat));
+  const dLon = cosLat < 0.01 ? 180 : radiusKm / (KM_PER_DEGREE_LAT * cosLat);
+
+  const minLat = Math.max(-90, lat - dLat);
+  const maxLat = Math.min(90, lat + dLat);
+  const lonSpan = Math.min(360, 2 * dLon);
+
+  for (let precision = MAX_QUERY_PRECISION; precision >= 1; precision--) {
+    const { cellLat, cellLon } = cellSize(precision);
+    const firstRow = Math.floor((minLat + 90) / cellLat);
+    const lastRow = Math.min(Math.floor((maxLat + 90) / cellLat), 180 / cellLat - 1);
+    const rows = lastRow - firstRow + 1;
+    const cols = Math.min(Math.ceil(lonSpan / cellLon) + 1, 360 / cellLon);
+
+    if (rows * cols > maxCells) continue;
+
+    const firstCol = Math.floor((lon - dLon + 180) / cellLon);
+    const cells = new Set();
+    for (let r = 0; r < rows; r++) {
+      const cellCenterLat = (firstRow + r + 0.5) * cellLat - 90;
+      for (let c = 0; c < cols; c++) {
+        // Wrap around the antimeridian
+        let cellCenterLon = (firstCol + c + 0.5) * cellLon - 180;
+        cellCenterLon = ((((cellCenterLon + 180) % 360) + 360) % 360) - 180;
+        cells.add(encode(cellCenterLat, cellCenterLon, precision));
+      }
+    }
+    return Array.from(cells);
+  }
+
+  return [];
+}
+
+module.exports = {
+  GEOHASH_PRECISION,
+  encode,
+  cellsCoveringRadius,
+};
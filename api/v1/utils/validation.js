@@ -0,0 +1,36 @@
+// api/v1/utils/validation.js
+
+/**
+ * Creates an error that the routes turn into a 400 response.
+ * @param {string} message The message shown to the client.
+ * @returns {Error}
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.code = 400;
+  return error;
+}
+
+/**
+ * Checks a gender value against the allowed options.
+ * @param {*} value The value from the request.
+ * @param {string} name The field name, for error messages.
+ * @param {Array<string>|null} genderOptions Allowed genders, from getGenderOptions; null accepts any non-empty string.
+ * @returns {string} The value.
+ */
+function validateGender(value, name, genderOptions) {
+  const valid = genderOptions
+    ? genderOptions.includes(value)
+    : typeof value === "string" && value.trim() !== "";
+  if (!valid) {
+    throw badRequest(genderOptions
+      ? `${name} must be one of: ${genderOptions.join(", ")}.`
+      : `${name} must be a non-empty string.`);
+  }
+  return value;
+}
+
+module.exports = {
+  badRequest,
+  validateGender,
+};
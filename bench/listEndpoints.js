@@ -0,0 +1,228 @@
+// Round-trip benchmark for the invitation and chat list endpoints
+// Usage:
+//   node bench/listEndpoints.js [--sizes 1,5,10,25,50] [--latency <ms>]
+//
+// Runs getActiveSentInvitations, getActiveReceivedInvitations and getActiveChats against an
+// in-memory stand-in for AppwriteService, so no Appwrite project is needed. Every stubbed call
+// counts as one round-trip and waits --latency ms, which makes the elapsed time roughly
+// round-trips x latency. Both numbers should stay flat as the list grows.
+
+const fs = require("fs");
+const path = require("path");
+
+// Collection IDs come from the environment; point each one at an in-memory collection of the same name
+const constantsSource = fs.readFileSync(
+    path.join(__dirname, "../api/v1/appwrite/appwriteConstants.js"),
+    "utf8"
+);
+for (const [, name] of constantsSource.matchAll(/process\.env\.(APPWRITE_\w+_COLLECTION_ID)/g)) {
+    process.env[name] = name;
+}
+// The client is never used, but appwriteConstants refuses to load without its settings
+process.env.APPWRITE_CLOUD_URL = "http://localhost/v1";
+process.env.APPWRITE_PROJECT_ID = "bench";
+process.env.APPWRITE_API_KEY = "bench";
+process.env.APPWRITE_DATABASE_ID = "bench";
+
+const { AppwriteService } = require("../api/v1/appwrite/appwriteService");
+const C = require("../api/v1/appwrite/appwriteConstants");
+const { getActiveSentInvitations } = require("../api/v1/service/manageSentInvitationService");
+const { getActiveReceivedInvitations } = require("../api/v1/service/manageIncomingRequestService");
+const { getActiveChats } = require("../api/v1/service/chatService");
+
+const CURRENT_USER_ID = "bench-user";
+const UNREAD_MESSAGES_PER_CHAT = 3;
+
+function parseArgs(argv) {
+    const options = { sizes: [1, 5, 10, 25, 50], latency: 5 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--sizes") {
+            options.sizes = argv[++i].split(",").map((size) => parseInt(size));
+        } else if (arg === "--latency") {
+            options.latency = parseInt(argv[++i]);
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!options.sizes.length || options.sizes.some((size) => isNaN(size) || size < 1)) {
+        throw new Error("--sizes must be a comma-separated list of positive numbers.");
+    }
+    if (isNaN(options.latency) || options.latency < 0) throw new Error("--latency must be a number of milliseconds.");
+    return options;
+}
+
+// ---------------------------------------------------------------------------
+// In-memory AppwriteService
+// ---------------------------------------------------------------------------
+
+let collections = new Map();
+let roundTrips = 0;
+let latencyMs = 0;
+
+const getCollection = (collectionId) => {
+    if (!collections.has(collectionId)) collections.set(collectionId, []);
+    return collections.get(collectionId);
+};
+
+const roundTrip = () => {
+    roundTrips++;
+    return new Promise((resolve) => setTimeout(resolve, latencyMs));
+};
+
+// Relationship attributes hold `{ $id }`; compare them by ID like Appwrite does
+const readAttribute = (doc, attribute) => {
+    const value = doc[attribute];
+    return value && typeof value === "object" && value.$id ? value.$id : value;
+};
+
+const matchesQuery = (doc, query) => {
+    const value = readAttribute(doc, query.attribute);
+    switch (query.method) {
+        case "equal":
+            return query.values.includes(value);
+        case "notEqual":
+            return !query.values.includes(value);
+        default:
+            return true;
+    }
+};
+
+const notFound = (documentId) => {
+    const error = new Error(`Document ${documentId} not found`);
+    error.code = 404;
+    return error;
+};
+
+AppwriteService.prototype.getDocument = async function (collectionId, documentId) {
+    await roundTrip();
+    const doc = getCollection(collectionId).find((d) => d.$id === documentId);
+    if (!doc) throw notFound(documentId);
+    return doc;
+};
+
+AppwriteService.prototype.listDocuments = async function (collectionId, queries = []) {
+    await roundTrip();
+    let documents = getCollection(collectionId).slice();
+    let limit = 25;
+    let cursorAfter = null;
+
+    for (const raw of queries) {
+        const query = JSON.parse(raw);
+        if (query.method === "limit") limit = query.values[0];
+        else if (query.method === "cursorAfter") cursorAfter = query.values[0];
+        else if (query.method === "orderAsc" || query.method === "orderDesc") {
+            const direction = query.method === "orderAsc" ? 1 : -1;
+            documents.sort((a, b) => direction * String(a[query.attribute]).localeCompare(String(b[query.attribute])));
+        } else documents = documents.filter((doc) => matchesQuery(doc, query));
+    }
+
+    const total = documents.length;
+    if (cursorAfter) {
+        documents = documents.slice(documents.findIndex((doc) => doc.$id === cursorAfter) + 1);
+    }
+    return { total, documents: documents.slice(0, limit) };
+};
+
+AppwriteService.prototype.createDocument = async function (collectionId, data, documentId = "unique()") {
+    await roundTrip();
+    const doc = { $id: documentId === "unique()" ? `${collectionId}-${getCollection(collectionId).length}` : documentId, ...data };
+    getCollection(collectionId).push(doc);
+    return doc;
+};
+
+AppwriteService.prototype.updateDocument = async function (collectionId, documentId, data) {
+    await roundTrip();
+    const doc = getCollection(collectionId).find((d) => d.$id === documentId);
+    if (!doc) throw notFound(documentId);
+    return Object.assign(doc, data);
+};
+
+AppwriteService.prototype.deleteDocument = async function (collectionId, documentId) {
+    await roundTrip();
+    const docs = getCollection(collectionId);
+    const index = docs.findIndex((d) => d.$id === documentId);
+    if (index === -1) throw notFound(documentId);
+    docs.splice(index, 1);
+};
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+/**
+ * Seeds `size` partners for each list: pending invitations in both directions and active chats
+ * with a few unread messages each.
+ * @param {number} size The number of rows per list.
+ */
+function seed(size) {
+    collections = new Map();
+    getCollection(C.APPWRITE_USERS_COLLECTION_ID).push({ $id: CURRENT_USER_ID, name: "Bench User" });
+
+    const addPartner = (partnerId) => {
+        getCollection(C.APPWRITE_USERS_COLLECTION_ID).push({ $id: partnerId, name: partnerId, lastSeenAt: new Date().toISOString() });
+        getCollection(C.APPWRITE_IMAGES_COLLECTION_ID).push({ $id: `img-${partnerId}`, user: { $id: partnerId }, image_1: `https://example.com/${partnerId}.jpg` });
+    };
+
+    for (let i = 0; i < size; i++) {
+        const connections = getCollection(C.APPWRITE_CONNECTIONS_COLLECTION_ID);
+
+        addPartner(`sent-${i}`);
+        connections.push({ $id: `conn-sent-${i}`, senderId: { $id: CURRENT_USER_ID }, receiverId: { $id: `sent-${i}` }, status: "pending" });
+
+        addPartner(`received-${i}`);
+        connections.push({ $id: `conn-received-${i}`, senderId: { $id: `received-${i}` }, receiverId: { $id: CURRENT_USER_ID }, status: "pending" });
+
+        addPartner(`chat-${i}`);
+        connections.push({ $id: `conn-chat-${i}`, senderId: { $id: `chat-${i}` }, receiverId: { $id: CURRENT_USER_ID }, status: "chat_active", messageCount: UNREAD_MESSAGES_PER_CHAT });
+        for (let m = 0; m < UNREAD_MESSAGES_PER_CHAT; m++) {
+            getCollection(C.APPWRITE_MESSAGES_COLLECTION_ID).push({ $id: `msg-${i}-${m}`, connectionId: `conn-chat-${i}`, senderId: `chat-${i}`, is_read: false });
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Runner
+// ---------------------------------------------------------------------------
+
+const ENDPOINTS = [
+    { name: "getActiveSentInvitations", run: () => getActiveSentInvitations(CURRENT_USER_ID) },
+    { name: "getActiveReceivedInvitations", run: () => getActiveReceivedInvitations(CURRENT_USER_ID) },
+    { name: "getActiveChats", run: () => getActiveChats(CURRENT_USER_ID) },
+];
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    latencyMs = options.latency;
+
+    console.log(`Simulated latency: ${latencyMs}ms per round-trip\n`);
+    console.log(["endpoint".padEnd(30), "seeded".padStart(6), "rows".padStart(6), "round-trips".padStart(12), "ms".padStart(8)].join(" "));
+
+    for (const endpoint of ENDPOINTS) {
+        for (const size of options.sizes) {
+            seed(size);
+            roundTrips = 0;
+
+            const startedAt = process.hrtime.bigint();
+            const rows = await endpoint.run();
+            const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+            console.log([
+                endpoint.name.padEnd(30),
+                String(size).padStart(6),
+                String(rows.length).padStart(6),
+                String(roundTrips).padStart(12),
+                elapsedMs.toFixed(1).padStart(8),
+            ].join(" "));
+        }
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
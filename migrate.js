@@ -0,0 +1,58 @@
+// Data migration CLI
+// Usage:
+//   node migrate.js status
+//   node migrate.js up [--dry-run] [--to <number>] [--batch-size <n>]
+//   node migrate.js down [--dry-run] [--batch-size <n>]
+
+require("dotenv").config();
+
+const { up, down, status } = require("./migrations/runner");
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = { dryRun: false };
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === "--dry-run") {
+            options.dryRun = true;
+        } else if (arg === "--to") {
+            options.to = parseInt(rest[++i]);
+        } else if (arg === "--batch-size") {
+            options.batchSize = parseInt(rest[++i]);
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.to !== undefined && isNaN(options.to)) throw new Error("--to must be a migration number.");
+    if (options.batchSize !== undefined && (isNaN(options.batchSize) || options.batchSize < 1 || options.batchSize > 100)) {
+        throw new Error("--batch-size must be between 1 and 100.");
+    }
+
+    return { command, options };
+}
+
+async function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+
+    switch (command) {
+        case "up":
+            await up(options);
+            break;
+        case "down":
+            await down(options);
+            break;
+        case "status":
+            await status();
+            break;
+        default:
+            console.log("Usage: node migrate.js <up|down|status> [--dry-run] [--to <number>] [--batch-size <n>]");
+            process.exit(command ? 1 : 0);
+    }
+}
+
+main().catch((error) => {
+    console.error("Migration failed:", error.message || error);
+    process.exit(1);
+});
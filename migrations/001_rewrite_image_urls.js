@@ -0,0 +1,52 @@
+// migrations/001_rewrite_image_urls.js
+// Points image URLs at the Singapore region and the new project after the project move.
+// Replaces the one-off temp_update_images.js script.
+
+const { APPWRITE_IMAGES_COLLECTION_ID } = require("../api/v1/appwrite/appwriteConstants");
+
+const NEW_PROJECT_ID = "696d271a00370d723a6c";
+// Needed only to revert; the old project ID was never recorded in the original script.
+const OLD_PROJECT_ID = process.env.LEGACY_APPWRITE_PROJECT_ID;
+const IMAGE_FIELDS = ["image_1", "image_2", "image_3", "image_4", "image_5", "image_6"];
+
+/**
+ * Rewrites one URL's region prefix and project ID.
+ * Returns null when the URL is not in the source region.
+ */
+function rewriteUrl(url, fromRegion, toRegion, projectId) {
+    if (!url || typeof url !== "string") return null;
+    if (!url.startsWith(`https://${fromRegion}`)) return null;
+
+    let updatedUrl = url.replace(`https://${fromRegion}`, `https://${toRegion}`);
+
+    // The project ID appears either as a query parameter (...view?project=XXXX)
+    // or in the path (/projects/XXXX/)
+    updatedUrl = updatedUrl.replace(/project=[a-zA-Z0-9]+/, `project=${projectId}`);
+    updatedUrl = updatedUrl.replace(/\/projects\/[a-zA-Z0-9]+/, `/projects/${projectId}`);
+
+    return updatedUrl;
+}
+
+function rewriteImageFields(doc, fromRegion, toRegion, projectId) {
+    const updates = {};
+    for (const field of IMAGE_FIELDS) {
+        const updatedUrl = rewriteUrl(doc[field], fromRegion, toRegion, projectId);
+        if (updatedUrl && updatedUrl !== doc[field]) {
+            updates[field] = updatedUrl;
+        }
+    }
+    return Object.keys(updates).length ? updates : null;
+}
+
+module.exports = {
+    description: "Rewrite image URLs from the fra region to sgp and the new project ID",
+    collectionId: APPWRITE_IMAGES_COLLECTION_ID,
+
+    up(doc) {
+        return rewriteImageFields(doc, "fra", "sgp", NEW_PROJECT_ID);
+    },
+
+    down: OLD_PROJECT_ID
+        ? (doc) => rewriteImageFields(doc, "sgp", "fra", OLD_PROJECT_ID)
+        : undefined,
+};
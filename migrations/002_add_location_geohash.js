@@ -0,0 +1,22 @@
+// migrations/002_add_location_geohash.js
+// Backfills the geohash index on location documents written before it existed.
+// Requires a `geohash` string attribute (size 12) with a key index on the location collection.
+
+const { APPWRITE_LOCATION_COLLECTION_ID } = require("../api/v1/appwrite/appwriteConstants");
+const { encode } = require("../api/v1/utils/geohash");
+
+module.exports = {
+    description: "Add the geohash index value to every location document",
+    collectionId: APPWRITE_LOCATION_COLLECTION_ID,
+
+    up(doc) {
+        if (typeof doc.latitude !== "number" || typeof doc.longitude !== "number") return null;
+
+        const geohash = encode(doc.latitude, doc.longitude);
+        return geohash === doc.geohash ? null : { geohash };
+    },
+
+    down(doc) {
+        return doc.geohash ? { geohash: null } : null;
+    },
+};
@@ -0,0 +1,228 @@
+// migrations/runner.js
+// Applies numbered document migrations and records their progress in the migrations collection.
+//
+// A migration file is named NNN_description.js and exports:
+//   description  - one line shown by `migrate status`
+//   collectionId - the collection whose documents are transformed
+//   up(doc)      - returns the attributes to update on a document, or null to leave it alone
+//   down(doc)    - optional; the reverse transform. Migrations without it are irreversible.
+
+const fs = require("fs");
+const path = require("path");
+const {
+    databases,
+    query,
+    DATABASE_ID,
+    APPWRITE_MIGRATIONS_COLLECTION_ID,
+} = require("../api/v1/appwrite/appwriteConstants");
+
+const MIGRATION_FILE_PATTERN = /^(\d{3})_[a-z0-9_]+\.js$/;
+const DEFAULT_BATCH_SIZE = 100; // Appwrite max limit per request
+
+/**
+ * Loads every migration file in this directory, ordered by number.
+ * @returns {Array<Object>} Migrations with `id`, `number` and the module's exports.
+ */
+function loadMigrations() {
+    return fs
+        .readdirSync(__dirname)
+        .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+        .sort()
+        .map((file) => {
+            const migration = require(path.join(__dirname, file));
+            if (!migration.collectionId || typeof migration.up !== "function") {
+                throw new Error(`Migration ${file} must export collectionId and up(doc). Is its collection ID env variable set?`);
+            }
+            return {
+                id: path.basename(file, ".js"),
+                number: parseInt(file.slice(0, 3)),
+                ...migration,
+            };
+        });
+}
+
+/**
+ * Loads the recorded state of every migration, keyed by migration ID.
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadState() {
+    if (!APPWRITE_MIGRATIONS_COLLECTION_ID) {
+        throw new Error("APPWRITE_MIGRATIONS_COLLECTION_ID is not set.");
+    }
+
+    const res = await databases.listDocuments(DATABASE_ID, APPWRITE_MIGRATIONS_COLLECTION_ID, [query.limit(1000)]);
+    return new Map(res.documents.map((doc) => [doc.$id, doc]));
+}
+
+/**
+ * Creates or updates the state document of a migration (document ID = migration ID).
+ * @param {Map<string, Object>} state The loaded state map, kept in sync.
+ * @param {string} migrationId The migration ID.
+ * @param {Object} data Attributes to write.
+ */
+async function saveState(state, migrationId, data) {
+    const doc = state.has(migrationId)
+        ? await databases.updateDocument(DATABASE_ID, APPWRITE_MIGRATIONS_COLLECTION_ID, migrationId, data)
+        : await databases.createDocument(DATABASE_ID, APPWRITE_MIGRATIONS_COLLECTION_ID, migrationId, data);
+    state.set(migrationId, doc);
+}
+
+/**
+ * Prints the attributes a transform would change on one document.
+ */
+function printDiff(doc, updates) {
+    console.log(`\n[${doc.$id}]`);
+    for (const [field, value] of Object.entries(updates)) {
+        console.log(`  ${field}:`);
+        console.log(`    FROM: ${JSON.stringify(doc[field])}`);
+        console.log(`    TO:   ${JSON.stringify(value)}`);
+    }
+}
+
+/**
+ * Walks a collection in batches with cursor pagination and applies a transform.
+ * Progress is saved after every batch, so an interrupted run resumes where it stopped.
+ * @param {Object} options `{ migration, transform, state, status, dryRun, batchSize }`.
+ * @returns {Promise<Object>} `{ processed, updated }` for this run.
+ */
+async function runTransform({ migration, transform, state, status, dryRun, batchSize }) {
+    const existing = state.get(migration.id);
+    const resuming = !dryRun && existing && existing.status === status;
+    let cursor = resuming ? existing.cursor : null;
+    let processed = resuming ? existing.processed || 0 : 0;
+    let updated = resuming ? existing.updated || 0 : 0;
+
+    if (resuming && cursor) {
+        console.log(`Resuming ${migration.id} after document ${cursor} (${processed} processed so far).`);
+    }
+
+    while (true) {
+        const queries = [query.limit(batchSize), query.orderAsc("$id")];
+        if (cursor) queries.push(query.cursorAfter(cursor));
+
+        const res = await databases.listDocuments(DATABASE_ID, migration.collectionId, queries);
+        if (!res.documents.length) break;
+
+        for (const doc of res.documents) {
+            const updates = transform(doc);
+            if (updates && Object.keys(updates).length) {
+                printDiff(doc, updates);
+                if (!dryRun) {
+                    await databases.updateDocument(DATABASE_ID, migration.collectionId, doc.$id, updates);
+                }
+                updated++;
+            }
+            processed++;
+        }
+
+        cursor = res.documents[res.documents.length - 1].$id;
+        if (!dryRun) {
+            await saveState(state, migration.id, { status, cursor, processed, updated });
+        }
+        console.log(`${migration.id}: ${processed} processed, ${updated} ${dryRun ? "would change" : "updated"}.`);
+
+        if (res.documents.length < batchSize) break;
+    }
+
+    return { processed, updated };
+}
+
+/**
+ * Applies pending migrations in order.
+ * @param {Object} [options] `{ dryRun, to, batchSize }`; `to` stops after that migration number.
+ */
+async function up({ dryRun = false, to = Infinity, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const migrations = loadMigrations();
+    const state = await loadState();
+
+    const pending = migrations.filter(
+        (m) => m.number <= to && state.get(m.id)?.status !== "completed"
+    );
+    if (!pending.length) {
+        console.log("No pending migrations.");
+        return;
+    }
+
+    for (const migration of pending) {
+        console.log(`\n${dryRun ? "[dry run] " : ""}Applying ${migration.id}: ${migration.description || ""}`);
+        const result = await runTransform({
+            migration,
+            transform: migration.up,
+            state,
+            status: "running",
+            dryRun,
+            batchSize,
+        });
+
+        if (!dryRun) {
+            await saveState(state, migration.id, {
+                status: "completed",
+                cursor: null,
+                processed: result.processed,
+                updated: result.updated,
+                completedAt: new Date().toISOString(),
+            });
+        }
+        console.log(`${dryRun ? "[dry run] " : ""}Finished ${migration.id}: ${result.updated} of ${result.processed} documents ${dryRun ? "would change" : "updated"}.`);
+    }
+}
+
+/**
+ * Reverts the most recently applied migration.
+ * @param {Object} [options] `{ dryRun, batchSize }`.
+ */
+async function down({ dryRun = false, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const migrations = loadMigrations();
+    const state = await loadState();
+
+    const applied = migrations.filter((m) => ["completed", "reverting"].includes(state.get(m.id)?.status));
+    const migration = applied[applied.length - 1];
+    if (!migration) {
+        console.log("No applied migrations to revert.");
+        return;
+    }
+    if (typeof migration.down !== "function") {
+        throw new Error(`Migration ${migration.id} is irreversible.`);
+    }
+
+    console.log(`\n${dryRun ? "[dry run] " : ""}Reverting ${migration.id}: ${migration.description || ""}`);
+    const result = await runTransform({
+        migration,
+        transform: migration.down,
+        state,
+        status: "reverting",
+        dryRun,
+        batchSize,
+    });
+
+    if (!dryRun) {
+        await databases.deleteDocument(DATABASE_ID, APPWRITE_MIGRATIONS_COLLECTION_ID, migration.id);
+    }
+    console.log(`${dryRun ? "[dry run] " : ""}Reverted ${migration.id}: ${result.updated} of ${result.processed} documents ${dryRun ? "would change" : "updated"}.`);
+}
+
+/**
+ * Prints every migration with its recorded state.
+ */
+async function status() {
+    const migrations = loadMigrations();
+    const state = await loadState();
+
+    for (const migration of migrations) {
+        const doc = state.get(migration.id);
+        let label = "pending";
+        if (doc?.status === "completed") label = `applied ${doc.completedAt}`;
+        else if (doc?.status === "running") label = `interrupted after ${doc.processed || 0} documents (resumable)`;
+        else if (doc?.status === "reverting") label = `revert interrupted after ${doc.processed || 0} documents`;
+
+        const counts = doc ? ` [${doc.updated || 0}/${doc.processed || 0} updated]` : "";
+        console.log(`${migration.id.padEnd(40)} ${label}${counts}${migration.down ? "" : " (irreversible)"}`);
+    }
+}
+
+module.exports = {
+    loadMigrations,
+    up,
+    down,
+    status,
+};
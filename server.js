@@ -9,7 +9,7 @@ const SELF_URL = process.env.SELF_URL || `http://localhost:${PORT}`;
 
 router.use(cors({
   origin: "*",
-  methods: ["GET", "POST", "PUT", "DELETE"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
   allowedHeaders: ["Content-Type", "Authorization"],
 }));
 